@@ -0,0 +1,152 @@
+const { iterator } = require('../src/lib');
+
+// Compares pipelines of stateless adapters, which are fused into a single generator when a
+// terminal runs, with the equivalent plain loop and with hand-written nested generators, which is
+// how each adapter was evaluated before fusion.
+
+const SIZE = 1000000;
+const RUNS = 10;
+
+const input = [];
+for (let i = 0; i < SIZE; i++) {
+  input.push(i);
+}
+
+function* map(iter, f) {
+  for (const x of iter) {
+    yield f(x);
+  }
+}
+
+function* filter(iter, predicate) {
+  for (const x of iter) {
+    if (predicate(x)) {
+      yield x;
+    }
+  }
+}
+
+function* take(iter, n) {
+  let i = 0;
+  for (const x of iter) {
+    yield x;
+    i++;
+    if (i >= n) {
+      break;
+    }
+  }
+}
+
+const double = (x) => x * 2;
+const notMultipleOfThree = (x) => x % 3 !== 0;
+const increment = (x) => x + 1;
+
+const cases = {
+  'six stages': {
+    loop() {
+      let sum = 0;
+      let taken = 0;
+      for (const x of input) {
+        const a = double(x);
+        if (!notMultipleOfThree(a)) {
+          continue;
+        }
+        const b = increment(a);
+        if (!notMultipleOfThree(b)) {
+          continue;
+        }
+        sum += double(b);
+        taken++;
+        if (taken >= SIZE / 2) {
+          break;
+        }
+      }
+      return sum;
+    },
+    nested() {
+      let sum = 0;
+      const stages = take(
+        map(
+          filter(
+            map(filter(map(input, double), notMultipleOfThree), increment),
+            notMultipleOfThree
+          ),
+          double
+        ),
+        SIZE / 2
+      );
+      for (const x of stages) {
+        sum += x;
+      }
+      return sum;
+    },
+    fused() {
+      return iterator(input)
+        .map(double)
+        .filter(notMultipleOfThree)
+        .map(increment)
+        .filter(notMultipleOfThree)
+        .map(double)
+        .take(SIZE / 2)
+        .fold(0, (sum, x) => sum + x);
+    }
+  },
+  'two stages': {
+    loop() {
+      let sum = 0;
+      for (const x of input) {
+        if (notMultipleOfThree(x)) {
+          sum += double(x);
+        }
+      }
+      return sum;
+    },
+    nested() {
+      let sum = 0;
+      for (const x of map(filter(input, notMultipleOfThree), double)) {
+        sum += x;
+      }
+      return sum;
+    },
+    fused() {
+      return iterator(input)
+        .filter(notMultipleOfThree)
+        .map(double)
+        .fold(0, (sum, x) => sum + x);
+    }
+  }
+};
+
+function measure(f) {
+  let best = Infinity;
+  let result;
+  for (let i = 0; i < RUNS; i++) {
+    const start = process.hrtime.bigint();
+    result = f();
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    best = Math.min(best, elapsed);
+  }
+  return { best, result };
+}
+
+Object.keys(cases).forEach((name) => {
+  const variants = cases[name];
+  const timings = {};
+  let expected;
+  Object.keys(variants).forEach((variant) => {
+    const { best, result } = measure(variants[variant]);
+    if (expected === undefined) {
+      expected = result;
+    } else if (result !== expected) {
+      throw new Error(`${name} (${variant}) produced ${result} rather than ${expected}`);
+    }
+    timings[variant] = best;
+  });
+  console.log(`${name}, ${SIZE} members, best of ${RUNS} runs`);
+  Object.keys(timings).forEach((variant) => {
+    const ratio = timings[variant] / timings.loop;
+    console.log(
+      `  ${variant.padEnd(8)} ${timings[variant].toFixed(1).padStart(8)} ms  ${ratio.toFixed(2)}x`
+    );
+  });
+});
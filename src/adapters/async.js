@@ -0,0 +1,1391 @@
+// The generator adapters and terminal operations behind the methods of `AsyncIterator`, which
+// mirror those in the synchronous module. Nothing here refers to the iterator class, so the
+// standalone operators apply them to their sources without loading it.
+
+const os = require('os');
+const { isCollector } = require('../collectors');
+const { identity, sameValueZero } = require('../compare');
+const { AbortError, TimeoutError } = require('../errors');
+const { AsyncHeap } = require('../heap');
+const { tracer } = require('../instrumentation');
+const { WorkerPool } = require('../pool');
+const { wait } = require('../scheduler');
+const { awaitedEntryBefore, awaitedHeapSort } = require('../sort');
+const { createSpillDirectory, readRun, removeSpillDirectory, writeRun } = require('../spill');
+const { checkTeeBuffer, releaseTee, takeTee, teeEnd, teeState } = require('../tee');
+
+function isAsyncIterator(obj) {
+  return obj != null && typeof obj[Symbol.asyncIterator] === 'function';
+}
+
+function isIterator(obj) {
+  return obj != null && typeof obj[Symbol.iterator] === 'function';
+}
+
+function isArrayLike(obj) {
+  return (
+    obj != null && typeof obj !== 'function' && Number.isInteger(obj.length) && obj.length >= 0
+  );
+}
+
+async function* fromIterator(iter) {
+  for (const x of iter) {
+    yield await x;
+  }
+}
+
+async function* fromArrayLike(arr) {
+  for (let i = 0; i < arr.length; i++) {
+    yield await arr[i];
+  }
+}
+
+// Produces an async iterable over the specified async iterable, iterable or array-like object,
+// whose members are awaited if it is not already asynchronous
+function asyncSource(iter) {
+  if (isAsyncIterator(iter)) {
+    return iter;
+  } else if (isIterator(iter)) {
+    return fromIterator(iter);
+  } else if (isArrayLike(iter)) {
+    return fromArrayLike(iter);
+  } else {
+    throw new Error(`${iter} is not an async iterator`);
+  }
+}
+
+function sourceOf(iter) {
+  return asyncSource(iter)[Symbol.asyncIterator]();
+}
+
+// Closes the specified source, which may have a pending call to `next`. Such a source cannot be
+// closed until that call settles, so it is closed in the background instead of being awaited.
+async function closeSource(source, next) {
+  if (typeof source.return !== 'function') {
+    return;
+  }
+  if (next !== undefined) {
+    next.catch(() => {});
+    Promise.resolve()
+      .then(() => source.return())
+      .catch(() => {});
+  } else {
+    try {
+      await source.return();
+    } catch (_) {
+      // Errors raised while closing a source are ignored
+    }
+  }
+}
+
+async function* take(iter, n) {
+  if (n <= 0) {
+    // A generator which has not started ignores `return`, so the source is started first to let
+    // every adapter upstream close its own source
+    const source = iter[Symbol.asyncIterator]();
+    await source.next();
+    await closeSource(source);
+    return;
+  }
+  let i = 0;
+  for await (const x of iter) {
+    yield x;
+    i++;
+    if (i >= n) {
+      break;
+    }
+  }
+}
+
+async function* skip(iter, n) {
+  let i = 0;
+  for await (const x of iter) {
+    i++;
+    if (i > n) {
+      yield x;
+    }
+  }
+}
+
+async function* map(iter, f) {
+  for await (const x of iter) {
+    yield await f(x);
+  }
+}
+
+async function* mapConcurrent(iter, f, concurrency, ordered) {
+  const source = iter[Symbol.asyncIterator]();
+  const pending = [];
+  let done = false;
+
+  const start = (x) => {
+    const task = {};
+    task.settled = Promise.resolve()
+      .then(() => f(x))
+      .then(
+        (value) => {
+          task.value = value;
+          return task;
+        },
+        (error) => {
+          task.failed = true;
+          task.error = error;
+          return task;
+        }
+      );
+    pending.push(task);
+  };
+
+  try {
+    while (true) {
+      while (!done && pending.length < concurrency) {
+        let next;
+        try {
+          next = await source.next();
+        } catch (err) {
+          done = true;
+          throw err;
+        }
+        if (next.done) {
+          done = true;
+        } else {
+          start(next.value);
+        }
+      }
+      if (pending.length === 0) {
+        break;
+      }
+      const task = ordered ? pending[0] : await Promise.race(pending.map((t) => t.settled));
+      await task.settled;
+      pending.splice(pending.indexOf(task), 1);
+      if (task.failed) {
+        throw task.error;
+      }
+      yield task.value;
+    }
+  } finally {
+    // Let any remaining invocations settle so that no work outlives the iterator
+    await Promise.all(pending.map((t) => t.settled));
+    if (!done) {
+      await closeSource(source);
+    }
+  }
+}
+
+function defaultWorkers() {
+  return typeof os.availableParallelism === 'function'
+    ? os.availableParallelism()
+    : os.cpus().length;
+}
+
+// Maps members through a pool of worker threads, with one member in flight per worker. This is
+// not an async generator, since `return` must close the pool straight away rather than wait for a
+// pending `next`, which may be waiting for a worker that never finishes. Closing the pool rejects
+// its outstanding tasks, which lets any pending `next` settle.
+function parallelMap(iter, fn, workers, ordered) {
+  let pool;
+  let mapped;
+  let closing;
+  const close = () => {
+    if (closing === undefined) {
+      closing = pool === undefined ? Promise.resolve() : pool.close();
+    }
+    return closing;
+  };
+  return {
+    async next() {
+      if (closing !== undefined && mapped === undefined) {
+        return { done: true, value: undefined };
+      }
+      if (mapped === undefined) {
+        pool = new WorkerPool(fn, workers);
+        mapped = mapConcurrent(iter, (x) => pool.run(x), workers, ordered);
+      }
+      let result;
+      try {
+        result = await mapped.next();
+      } catch (e) {
+        await close();
+        throw e;
+      }
+      if (result.done) {
+        await close();
+      }
+      return result;
+    },
+    async return(value) {
+      const closed = close();
+      if (mapped !== undefined) {
+        await mapped.return();
+      }
+      await closed;
+      return { done: true, value };
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+}
+
+async function* filter(iter, predicate) {
+  for await (const x of iter) {
+    if (await predicate(x)) {
+      yield x;
+    }
+  }
+}
+
+async function* use(iter, f) {
+  for await (const x of iter) {
+    await f(x);
+    yield x;
+  }
+}
+
+async function* flatten(iter) {
+  for await (const x of iter) {
+    for await (const y of x) {
+      yield y;
+    }
+  }
+}
+
+// Produces the first member with the smallest key when `sign` is 1, or the largest when it is -1
+async function extreme(iter, keyFn, cmp, sign) {
+  let best;
+  let bestKey;
+  let found = false;
+  for await (const x of iter) {
+    const key = await keyFn(x);
+    if (!found || sign * (await cmp(key, bestKey)) < 0) {
+      best = x;
+      bestKey = key;
+      found = true;
+    }
+  }
+  return best;
+}
+
+async function pullTee(state) {
+  try {
+    const result = await state.source.next();
+    if (result.done) {
+      state.done = true;
+    } else {
+      state.buffer.push(result.value);
+    }
+  } catch (err) {
+    state.failed = true;
+    state.error = err;
+  }
+}
+
+function teeConsumer(state, consumer, maxBuffer) {
+  return {
+    async next() {
+      while (consumer.active && consumer.pos === teeEnd(state)) {
+        if (state.failed) {
+          throw state.error;
+        }
+        if (state.done) {
+          return { done: true, value: undefined };
+        }
+        // Only one pull from the source may be in flight, which every consumer waits on
+        if (state.pulling === undefined) {
+          checkTeeBuffer(state, consumer, maxBuffer);
+          state.pulling = pullTee(state).then(() => {
+            state.pulling = undefined;
+          });
+        }
+        await state.pulling;
+      }
+      if (!consumer.active) {
+        return { done: true, value: undefined };
+      }
+      return { done: false, value: takeTee(state, consumer) };
+    },
+    async return(value) {
+      if (consumer.active) {
+        releaseTee(state, consumer);
+        if (!state.done && !state.failed && state.consumers.every((c) => !c.active)) {
+          state.done = true;
+          await closeSource(state.source, state.pulling);
+        }
+      }
+      return { done: true, value };
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+}
+
+function tee(iter, n, maxBuffer) {
+  const state = teeState(iter[Symbol.asyncIterator](), n);
+  return state.consumers.map((consumer) => teeConsumer(state, consumer, maxBuffer));
+}
+
+function onFinally(iter, f) {
+  const source = iter[Symbol.asyncIterator]();
+  let finished = false;
+  const finish = async () => {
+    if (!finished) {
+      finished = true;
+      await f();
+    }
+  };
+  return {
+    async next() {
+      if (finished) {
+        return { done: true, value: undefined };
+      }
+      let result;
+      try {
+        result = await source.next();
+      } catch (err) {
+        await finish();
+        throw err;
+      }
+      if (result.done) {
+        await finish();
+      }
+      return result;
+    },
+    async return(value) {
+      try {
+        if (!finished) {
+          await closeSource(source);
+        }
+      } finally {
+        await finish();
+      }
+      return { done: true, value };
+    },
+    async throw(err) {
+      await this.return();
+      throw err;
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+}
+
+async function* loop(iter) {
+  const yielded = [];
+  for await (const x of iter) {
+    yielded.push(x);
+    yield x;
+  }
+  while (true) {
+    for (const x of yielded) {
+      yield x;
+    }
+  }
+}
+
+async function* flatMap(iter, f) {
+  for await (const x of iter) {
+    const innerIter = await f(x);
+    for await (const y of innerIter) {
+      yield y;
+    }
+  }
+}
+
+async function* zip(iterA, iterB) {
+  const sourceA = iterA[Symbol.asyncIterator]();
+  const sourceB = iterB[Symbol.asyncIterator]();
+  let doneA = false;
+  let doneB = false;
+  try {
+    while (true) {
+      const a = await sourceA.next();
+      if (a.done) {
+        doneA = true;
+        break;
+      }
+      const b = await sourceB.next();
+      if (b.done) {
+        doneB = true;
+        break;
+      }
+      yield [a.value, b.value];
+    }
+  } finally {
+    if (!doneA) {
+      await closeSource(sourceA);
+    }
+    if (!doneB) {
+      await closeSource(sourceB);
+    }
+  }
+}
+
+async function* intersperse(iter, delim) {
+  let first = true;
+  for await (const x of iter) {
+    if (!first) yield delim;
+    first = false;
+    yield x;
+  }
+}
+
+async function* enumerate(iter) {
+  let n = 0;
+  for await (const x of iter) {
+    yield [x, n];
+    n++;
+  }
+}
+
+async function* chunk(iter, n) {
+  let chunk = [];
+  for await (const x of iter) {
+    chunk.push(x);
+    if (chunk.length === n) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    yield chunk;
+  }
+}
+
+async function* windows(iter, size, step) {
+  let window = [];
+  let toSkip = 0;
+  for await (const x of iter) {
+    if (toSkip > 0) {
+      toSkip--;
+    } else {
+      window.push(x);
+      if (window.length === size) {
+        yield window.slice();
+        if (step >= size) {
+          toSkip = step - size;
+          window = [];
+        } else {
+          window = window.slice(step);
+        }
+      }
+    }
+  }
+}
+
+async function* chunkBy(iter, keyFn) {
+  let chunk = [];
+  let key;
+  for await (const x of iter) {
+    const k = await keyFn(x);
+    if (chunk.length > 0 && !Object.is(k, key)) {
+      yield chunk;
+      chunk = [];
+    }
+    key = k;
+    chunk.push(x);
+  }
+  if (chunk.length > 0) {
+    yield chunk;
+  }
+}
+
+async function* takeWhile(iter, predicate) {
+  for await (const x of iter) {
+    if (!(await predicate(x))) {
+      break;
+    }
+    yield x;
+  }
+}
+
+async function* skipWhile(iter, predicate) {
+  let skipping = true;
+  for await (const x of iter) {
+    if (skipping && !(await predicate(x))) {
+      skipping = false;
+    }
+    if (!skipping) {
+      yield x;
+    }
+  }
+}
+
+async function* mapWhile(iter, f) {
+  for await (const x of iter) {
+    const y = await f(x);
+    if (y === undefined) {
+      break;
+    }
+    yield y;
+  }
+}
+
+async function* scan(iter, init, f) {
+  let state = init;
+  for await (const x of iter) {
+    state = await f(state, x);
+    yield state;
+  }
+}
+
+async function* stepBy(iter, n) {
+  let i = 0;
+  for await (const x of iter) {
+    if (i % n === 0) {
+      yield x;
+    }
+    i++;
+  }
+}
+
+async function* chain(iters) {
+  for (const iter of iters) {
+    for await (const x of iter) {
+      yield x;
+    }
+  }
+}
+
+async function* fuse(iter) {
+  for await (const x of iter) {
+    yield x;
+  }
+}
+
+async function* unique(iter, keyFn) {
+  const seen = new Set();
+  for await (const x of iter) {
+    const key = await keyFn(x);
+    if (!seen.has(key)) {
+      seen.add(key);
+      yield x;
+    }
+  }
+}
+
+async function* dedupe(iter, keyFn) {
+  let started = false;
+  let last;
+  for await (const x of iter) {
+    const key = await keyFn(x);
+    if (!started || !sameValueZero(key, last)) {
+      started = true;
+      last = key;
+      yield x;
+    }
+  }
+}
+
+async function openCursor(source) {
+  const cursor = { iter: sourceOf(source), done: false, value: undefined };
+  await advanceCursor(cursor);
+  return cursor;
+}
+
+async function advanceCursor(cursor) {
+  const { done, value } = await cursor.iter.next();
+  cursor.done = done;
+  cursor.value = value;
+}
+
+async function closeCursors(cursors) {
+  for (const cursor of cursors) {
+    if (!cursor.done) {
+      await closeSource(cursor.iter);
+    }
+  }
+}
+
+async function* mergeSorted(sources, cmp) {
+  yield* mergeRuns(
+    sources.map((source) => keyed(sourceOf(source), identity)),
+    cmp
+  );
+}
+
+async function* unionSorted(sources, cmp) {
+  let started = false;
+  let last;
+  for await (const x of mergeSorted(sources, cmp)) {
+    if (!started || (await cmp(last, x)) !== 0) {
+      started = true;
+      last = x;
+      yield x;
+    }
+  }
+}
+
+async function* intersectSorted(sources, cmp) {
+  const cursors = [];
+  try {
+    for (const source of sources) {
+      cursors.push(await openCursor(source));
+    }
+    while (cursors.every((cursor) => !cursor.done)) {
+      let max = cursors[0].value;
+      let matched = true;
+      for (const cursor of cursors) {
+        const order = await cmp(cursor.value, max);
+        if (order > 0) {
+          max = cursor.value;
+        }
+        matched = matched && order === 0;
+      }
+      if (matched) {
+        yield max;
+      }
+      for (const cursor of cursors) {
+        while (!cursor.done && (await cmp(cursor.value, max)) < (matched ? 1 : 0)) {
+          await advanceCursor(cursor);
+        }
+      }
+    }
+  } finally {
+    await closeCursors(cursors);
+  }
+}
+
+async function* differenceSorted(iter, others, cmp) {
+  const cursors = [];
+  try {
+    for (const other of others) {
+      cursors.push(await openCursor(other));
+    }
+    let started = false;
+    let last;
+    for await (const x of iter) {
+      if (started && (await cmp(last, x)) === 0) {
+        continue;
+      }
+      started = true;
+      last = x;
+      let excluded = false;
+      for (const cursor of cursors) {
+        while (!cursor.done && (await cmp(cursor.value, x)) < 0) {
+          await advanceCursor(cursor);
+        }
+        if (!cursor.done && (await cmp(cursor.value, x)) === 0) {
+          excluded = true;
+        }
+      }
+      if (!excluded) {
+        yield x;
+      }
+    }
+  } finally {
+    await closeCursors(cursors);
+  }
+}
+
+// Merges runs of entries, each sorted by key, preferring earlier runs when keys are equal
+async function* mergeRuns(runs, cmp) {
+  const heap = new AsyncHeap(awaitedEntryBefore(cmp));
+  try {
+    for (const [index, iter] of runs.entries()) {
+      const { done, value } = await iter.next();
+      if (!done) {
+        await heap.push({ key: value.key, value: value.value, index, iter });
+      }
+    }
+    while (heap.size() > 0) {
+      const min = heap.peek();
+      yield min.value;
+      const { done, value } = await min.iter.next();
+      if (done) {
+        await heap.pop();
+      } else {
+        const next = { key: value.key, value: value.value, index: min.index, iter: min.iter };
+        await heap.replace(next);
+      }
+    }
+  } finally {
+    for (const { iter } of heap.items) {
+      await closeSource(iter);
+    }
+  }
+}
+
+async function* keyed(values, keyFn) {
+  for await (const value of values) {
+    yield { key: await keyFn(value), value };
+  }
+}
+
+async function* sorted(iter, keyFn, cmp, options) {
+  const { budget, serialize, deserialize, tmpdir } = options;
+  // Members sorted without a key function are their own keys, so they are spilled alone
+  const bare = keyFn === identity;
+  let entries = [];
+  let index = 0;
+  let directory;
+  const files = [];
+  try {
+    for await (const value of iter) {
+      entries.push({ key: await keyFn(value), value, index });
+      index++;
+      if (entries.length === budget) {
+        const spilled = [];
+        for await (const { key, value: member } of awaitedHeapSort(entries, cmp)) {
+          spilled.push(bare ? member : { key, value: member });
+        }
+        if (directory === undefined) {
+          directory = await createSpillDirectory(tmpdir);
+        }
+        files.push(await writeRun(directory, files.length, spilled, serialize));
+        entries = [];
+      }
+    }
+    if (directory === undefined) {
+      for await (const entry of awaitedHeapSort(entries, cmp)) {
+        yield entry.value;
+      }
+      return;
+    }
+    const runs = files.map((file) => {
+      const run = readRun(file, deserialize);
+      return bare ? keyed(run, identity) : run;
+    });
+    runs.push(awaitedHeapSort(entries, cmp));
+    yield* mergeRuns(runs, cmp);
+  } finally {
+    if (directory !== undefined) {
+      await removeSpillDirectory(directory);
+    }
+  }
+}
+
+async function* kWayMerge(iter, cmp) {
+  const runs = [];
+  for await (const run of iter) {
+    runs.push(run);
+  }
+  yield* mergeSorted(runs, cmp);
+}
+
+// Yields the `k` smallest members in order when `sign` is 1, or the `k` largest when it is -1,
+// keeping only the best `k` seen so far in a heap with the worst of them at its root
+async function* extremes(iter, k, cmp, sign) {
+  if (k === 0) {
+    return;
+  }
+  const worse = async (a, b) => {
+    const order = sign * (await cmp(a.value, b.value));
+    return order > 0 || (order === 0 && a.index > b.index);
+  };
+  const heap = new AsyncHeap(worse);
+  let index = 0;
+  for await (const value of iter) {
+    const entry = { value, index };
+    index++;
+    if (heap.size() < k) {
+      await heap.push(entry);
+    } else if (await worse(heap.peek(), entry)) {
+      await heap.replace(entry);
+    }
+  }
+  // The heap removes the worst of the best members first
+  const best = [];
+  while (heap.size() > 0) {
+    best.push((await heap.pop()).value);
+  }
+  yield* best.reverse();
+}
+
+// Yields the members of the source until it is exhausted or rejects, producing the error it threw
+// if any. An error raised by the consumer while a member is being yielded is not treated as a
+// failure of the source, so it propagates after the source has been closed.
+async function* untilError(iter) {
+  const source = sourceOf(iter);
+  let finished = false;
+  try {
+    while (true) {
+      let next;
+      try {
+        next = await source.next();
+      } catch (error) {
+        finished = true;
+        return { failed: true, error };
+      }
+      if (next.done) {
+        finished = true;
+        return { failed: false };
+      }
+      yield next.value;
+    }
+  } finally {
+    if (!finished) {
+      await closeSource(source);
+    }
+  }
+}
+
+async function* catchError(iter, handler) {
+  const { failed, error } = yield* untilError(iter);
+  if (failed) {
+    for await (const x of asyncSource(await handler(error))) {
+      yield x;
+    }
+  }
+}
+
+async function* onError(iter, f) {
+  const { failed, error } = yield* untilError(iter);
+  if (failed) {
+    await f(error);
+    throw error;
+  }
+}
+
+async function* tryMap(iter, f) {
+  for await (const x of iter) {
+    let result;
+    try {
+      result = { ok: true, value: await f(x) };
+    } catch (error) {
+      result = { ok: false, error };
+    }
+    yield result;
+  }
+}
+
+async function* trace(iter, label, logger) {
+  const events = tracer(label, logger);
+  try {
+    for await (const x of iter) {
+      events.yielded(x);
+      yield x;
+    }
+    events.done();
+  } catch (e) {
+    events.failed(e);
+    throw e;
+  } finally {
+    events.closed();
+  }
+}
+
+async function* retry(factory, attempts, backoff, scheduler) {
+  for (let attempt = 1; true; attempt++) {
+    try {
+      for await (const x of asyncSource(await factory(attempt))) {
+        yield x;
+      }
+      return;
+    } catch (e) {
+      if (attempt >= attempts) {
+        throw e;
+      }
+    }
+    await wait(backoff * 2 ** (attempt - 1), scheduler).promise;
+  }
+}
+
+async function* delay(iter, ms, scheduler) {
+  for await (const x of iter) {
+    await wait(ms, scheduler).promise;
+    yield x;
+  }
+}
+
+async function* throttle(iter, ms, scheduler) {
+  let last;
+  for await (const x of iter) {
+    const now = scheduler.now();
+    if (last === undefined || now - last >= ms) {
+      last = now;
+      yield x;
+    }
+  }
+}
+
+async function* timeout(iter, ms, scheduler) {
+  const source = iter[Symbol.asyncIterator]();
+  let next;
+  let done = false;
+  try {
+    while (true) {
+      next = source.next();
+      const timer = wait(ms, scheduler);
+      const result = await Promise.race([next, timer.promise.then(() => null)]);
+      timer.cancel();
+      if (result === null) {
+        throw new TimeoutError(`No element was produced within ${ms}ms`);
+      }
+      next = undefined;
+      if (result.done) {
+        done = true;
+        return;
+      }
+      yield result.value;
+    }
+  } finally {
+    if (!done) {
+      await closeSource(source, next);
+    }
+  }
+}
+
+async function* debounce(iter, ms, scheduler) {
+  const source = iter[Symbol.asyncIterator]();
+  let next = source.next();
+  let latest;
+  let hasLatest = false;
+  let done = false;
+  try {
+    while (true) {
+      if (!hasLatest) {
+        const result = await next;
+        if (result.done) {
+          done = true;
+          return;
+        }
+        latest = result.value;
+        hasLatest = true;
+        next = source.next();
+      } else {
+        const timer = wait(ms, scheduler);
+        const result = await Promise.race([next, timer.promise.then(() => null)]);
+        timer.cancel();
+        if (result === null) {
+          hasLatest = false;
+          yield latest;
+        } else if (result.done) {
+          done = true;
+          yield latest;
+          return;
+        } else {
+          latest = result.value;
+          next = source.next();
+        }
+      }
+    }
+  } finally {
+    if (!done) {
+      await closeSource(source, next);
+    }
+  }
+}
+
+async function* bufferTime(iter, ms, maxSize, scheduler) {
+  const source = iter[Symbol.asyncIterator]();
+  let next;
+  let buffer = [];
+  let timer;
+  let done = false;
+  try {
+    while (true) {
+      if (next === undefined) {
+        next = source.next();
+      }
+      const result = await (timer === undefined
+        ? next
+        : Promise.race([next, timer.promise.then(() => null)]));
+      if (result !== null) {
+        next = undefined;
+        if (result.done) {
+          done = true;
+          break;
+        }
+        if (buffer.length === 0) {
+          timer = wait(ms, scheduler);
+        }
+        buffer.push(result.value);
+      }
+      if (result === null || buffer.length >= maxSize) {
+        timer.cancel();
+        timer = undefined;
+        const full = buffer;
+        buffer = [];
+        yield full;
+      }
+    }
+    if (buffer.length > 0) {
+      yield buffer;
+    }
+  } finally {
+    if (timer !== undefined) {
+      timer.cancel();
+    }
+    if (!done) {
+      await closeSource(source, next);
+    }
+  }
+}
+
+const overflowPolicies = ['block', 'dropOldest', 'dropNewest', 'error'];
+
+function checkBufferOptions(n, lowWaterMark, overflow) {
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`${n} is not a valid buffer size`);
+  }
+  if (!Number.isInteger(lowWaterMark) || lowWaterMark < 0 || lowWaterMark >= n) {
+    throw new Error(`${lowWaterMark} is not a valid low-water mark`);
+  }
+  if (!overflowPolicies.includes(overflow)) {
+    throw new Error(`${overflow} is not a valid overflow policy`);
+  }
+}
+
+function wakeConsumer(state) {
+  if (state.wake !== undefined) {
+    const wake = state.wake;
+    state.wake = undefined;
+    wake();
+  }
+}
+
+function resumePump(state) {
+  if (state.resume !== undefined) {
+    const resume = state.resume;
+    state.resume = undefined;
+    resume();
+  }
+}
+
+// Pulls members from the source into the queue of the specified buffer state until the source
+// ends or throws, or the buffer is stopped. Errors are queued rather than thrown, so that the
+// consumer receives them after the members which preceded them.
+async function pumpBuffer(state, source, highWaterMark, overflow) {
+  while (!state.stopped) {
+    if (overflow === 'block' && state.queue.length >= highWaterMark) {
+      await new Promise((resolve) => {
+        state.resume = resolve;
+      });
+      if (state.stopped) {
+        return;
+      }
+    }
+    let result;
+    try {
+      state.pending = source.next();
+      result = await state.pending;
+    } catch (error) {
+      state.finished = true;
+      state.queue.push({ error });
+      wakeConsumer(state);
+      return;
+    } finally {
+      state.pending = undefined;
+    }
+    if (state.stopped) {
+      return;
+    }
+    if (result.done) {
+      state.finished = true;
+      state.queue.push({ done: true });
+      wakeConsumer(state);
+      return;
+    }
+    if (state.queue.length < highWaterMark) {
+      state.queue.push({ value: result.value });
+    } else if (overflow === 'dropOldest') {
+      state.queue.shift();
+      state.queue.push({ value: result.value });
+    } else if (overflow === 'error') {
+      const error = new Error(`Buffer overflowed its capacity of ${highWaterMark} members`);
+      state.queue.push({ error });
+      wakeConsumer(state);
+      return;
+    }
+    wakeConsumer(state);
+  }
+}
+
+async function* buffer(iter, highWaterMark, lowWaterMark, overflow) {
+  const source = iter[Symbol.asyncIterator]();
+  const state = {
+    queue: [],
+    pending: undefined,
+    wake: undefined,
+    resume: undefined,
+    stopped: false,
+    finished: false
+  };
+  pumpBuffer(state, source, highWaterMark, overflow);
+  try {
+    while (true) {
+      while (state.queue.length === 0) {
+        await new Promise((resolve) => {
+          state.wake = resolve;
+        });
+      }
+      const entry = state.queue.shift();
+      if (state.queue.length <= lowWaterMark) {
+        resumePump(state);
+      }
+      if ('error' in entry) {
+        throw entry.error;
+      }
+      if (entry.done) {
+        return;
+      }
+      yield entry.value;
+    }
+  } finally {
+    state.stopped = true;
+    state.queue = [];
+    resumePump(state);
+    if (!state.finished) {
+      await closeSource(source, state.pending);
+    }
+  }
+}
+
+// Yields the members of the source until the specified signal is aborted, at which point any
+// pending request for a member is rejected with an `AbortError`, the source is closed in the
+// background and `onAbort` is called
+async function* abortable(iter, signal, onAbort = () => {}) {
+  const source = iter[Symbol.asyncIterator]();
+  let next;
+  let closed = false;
+  let rejectAborted;
+  const aborted = new Promise((_, reject) => {
+    rejectAborted = reject;
+  });
+  aborted.catch(() => {});
+  const close = async () => {
+    if (!closed) {
+      closed = true;
+      await closeSource(source, next);
+    }
+  };
+  const abort = () => {
+    rejectAborted(new AbortError());
+    close();
+    onAbort();
+  };
+  signal.addEventListener('abort', abort);
+  try {
+    while (true) {
+      if (signal.aborted) {
+        throw new AbortError();
+      }
+      next = source.next();
+      const result = await Promise.race([next, aborted]);
+      next = undefined;
+      if (result.done) {
+        closed = true;
+        return;
+      }
+      yield result.value;
+    }
+  } finally {
+    signal.removeEventListener('abort', abort);
+    await close();
+  }
+}
+
+async function* interleave(sources) {
+  const pending = new Map();
+  let current;
+  const pull = (i) => {
+    pending.set(i, sources[i].next().then((result) => ({ i, result })));
+  };
+  sources.forEach((_, i) => pull(i));
+  try {
+    while (pending.size > 0) {
+      const { i, result } = await Promise.race(pending.values());
+      if (result.done) {
+        pending.delete(i);
+      } else {
+        current = i;
+        yield [i, result.value];
+        pull(i);
+        current = undefined;
+      }
+    }
+  } finally {
+    const closing = [];
+    for (const [i, next] of pending) {
+      closing.push(closeSource(sources[i], i === current ? undefined : next));
+    }
+    await Promise.all(closing);
+  }
+}
+
+async function* merge(sources) {
+  for await (const [, x] of interleave(sources)) {
+    yield x;
+  }
+}
+
+async function* combineLatest(sources) {
+  const latest = new Array(sources.length);
+  const seen = new Array(sources.length).fill(false);
+  let numSeen = 0;
+  for await (const [i, x] of interleave(sources)) {
+    if (!seen[i]) {
+      seen[i] = true;
+      numSeen++;
+    }
+    latest[i] = x;
+    if (numSeen === sources.length) {
+      yield latest.slice();
+    }
+  }
+}
+
+async function* race(sources) {
+  if (sources.length === 0) {
+    return;
+  }
+  const nexts = sources.map((source, i) => source.next().then((result) => ({ i, result })));
+  let winner;
+  let first;
+  try {
+    ({ i: winner, result: first } = await Promise.race(nexts));
+  } finally {
+    sources.forEach((source, i) => {
+      if (i !== winner) {
+        closeSource(source, nexts[i]);
+      }
+    });
+  }
+  try {
+    if (!first.done) {
+      yield first.value;
+      for await (const x of { [Symbol.asyncIterator]: () => sources[winner] }) {
+        yield x;
+      }
+    }
+  } finally {
+    await closeSource(sources[winner]);
+  }
+}
+
+async function fold(iter, init, reducer) {
+  let val = init;
+  for await (const x of iter) {
+    val = await reducer(val, x);
+  }
+  return val;
+}
+
+// Collects members into a list, or into the result of the specified collector, whose functions
+// may return promises
+async function collect(iter, collector) {
+  if (collector === undefined) {
+    const collected = [];
+    for await (const x of iter) {
+      collected.push(x);
+    }
+    return collected;
+  }
+  if (!isCollector(collector)) {
+    throw new Error(`${collector} is not a collector`);
+  }
+  let state = await collector.init();
+  for await (const x of iter) {
+    state = await collector.step(state, x);
+  }
+  return collector.finish(state);
+}
+
+async function forEach(iter, f) {
+  for await (const x of iter) {
+    await f(x);
+  }
+}
+
+async function count(iter) {
+  return fold(iter, 0, (n) => n + 1);
+}
+
+async function nth(iter, n) {
+  return n < 0 ? undefined : first(skip(iter, n));
+}
+
+async function any(iter, predicate) {
+  for await (const x of iter) {
+    if (await predicate(x)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+async function all(iter, predicate) {
+  for await (const x of iter) {
+    if (!(await predicate(x))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+async function first(iter) {
+  for await (const x of iter) {
+    return x;
+  }
+  return undefined;
+}
+
+module.exports = {
+  isAsyncIterator,
+  isIterator,
+  asyncSource,
+  sourceOf,
+  closeSource,
+  take,
+  skip,
+  map,
+  mapConcurrent,
+  defaultWorkers,
+  parallelMap,
+  filter,
+  use,
+  flatten,
+  tee,
+  onFinally,
+  loop,
+  flatMap,
+  zip,
+  intersperse,
+  enumerate,
+  chunk,
+  windows,
+  chunkBy,
+  takeWhile,
+  skipWhile,
+  mapWhile,
+  scan,
+  stepBy,
+  chain,
+  fuse,
+  unique,
+  dedupe,
+  mergeSorted,
+  unionSorted,
+  intersectSorted,
+  differenceSorted,
+  sorted,
+  kWayMerge,
+  extremes,
+  catchError,
+  onError,
+  tryMap,
+  trace,
+  retry,
+  delay,
+  throttle,
+  timeout,
+  debounce,
+  bufferTime,
+  checkBufferOptions,
+  buffer,
+  abortable,
+  merge,
+  combineLatest,
+  race,
+  fold,
+  collect,
+  forEach,
+  count,
+  nth,
+  any,
+  all,
+  first,
+  extreme
+};
@@ -0,0 +1,984 @@
+// The generator adapters and terminal operations behind the methods of `Iterator`. They work on
+// any iterable and depend on neither iterator class, so the standalone operators are built on them
+// directly.
+
+const { isCollector } = require('../collectors');
+const { identity, sameValueZero } = require('../compare');
+const { Heap } = require('../heap');
+const { tracer } = require('../instrumentation');
+const { entryBefore, heapSort } = require('../sort');
+const {
+  createSpillDirectorySync,
+  readRunSync,
+  removeSpillDirectorySync,
+  writeRunSync
+} = require('../spill');
+const { checkTeeBuffer, releaseTee, takeTee, teeEnd, teeState } = require('../tee');
+
+const MAX_LIST_LENGTH = 2 ** 32 - 1;
+
+function isIterator(obj) {
+  return obj != null && typeof obj[Symbol.iterator] === 'function';
+}
+
+function isIndexable(obj) {
+  return Array.isArray(obj) || (ArrayBuffer.isView(obj) && !(obj instanceof DataView));
+}
+
+// Produces an iterator over the specified iterable, which is rejected as an `Iterator` would
+// reject it
+function sourceOf(iter) {
+  if (!isIterator(iter)) {
+    throw new Error(`${iter} is not an iterator`);
+  }
+  return iter[Symbol.iterator]();
+}
+
+function closeSource(source) {
+  if (typeof source.return === 'function') {
+    source.return();
+  }
+}
+
+function* take(iter, n) {
+  if (n <= 0) {
+    // A generator which has not started ignores `return`, so the source is started first to let
+    // every adapter upstream close its own source
+    const source = iter[Symbol.iterator]();
+    source.next();
+    closeSource(source);
+    return;
+  }
+  let i = 0;
+  for (const x of iter) {
+    yield x;
+    i++;
+    if (i >= n) {
+      break;
+    }
+  }
+}
+
+// Yields the members of the specified array or typed array from last to first
+function* rev(arr) {
+  for (let i = arr.length - 1; i >= 0; i--) {
+    yield arr[i];
+  }
+}
+
+function* skip(iter, n) {
+  let i = 0;
+  for (const x of iter) {
+    i++;
+    if (i > n) {
+      yield x;
+    }
+  }
+}
+
+function* map(iter, f) {
+  for (const x of iter) {
+    yield f(x);
+  }
+}
+
+function* filter(iter, predicate) {
+  for (const x of iter) {
+    if (predicate(x)) {
+      yield x;
+    }
+  }
+}
+
+function* use(iter, f) {
+  for (const x of iter) {
+    f(x);
+    yield x;
+  }
+}
+
+function* flatten(iter) {
+  for (const x of iter) {
+    for (const y of x) {
+      yield y;
+    }
+  }
+}
+
+function* loop(iter) {
+  const yielded = [];
+  for (const x of iter) {
+    yielded.push(x);
+    yield x;
+  }
+  while (true) {
+    for (const x of yielded) {
+      yield x;
+    }
+  }
+}
+
+function* flatMap(iter, f) {
+  for (const x of iter) {
+    for (const y of f(x)) {
+      yield y;
+    }
+  }
+}
+
+function* zip(iterA, iterB) {
+  const sourceA = iterA[Symbol.iterator]();
+  const sourceB = iterB[Symbol.iterator]();
+  let doneA = false;
+  let doneB = false;
+  try {
+    while (true) {
+      const a = sourceA.next();
+      if (a.done) {
+        doneA = true;
+        break;
+      }
+      const b = sourceB.next();
+      if (b.done) {
+        doneB = true;
+        break;
+      }
+      yield [a.value, b.value];
+    }
+  } finally {
+    try {
+      if (!doneA) {
+        closeSource(sourceA);
+      }
+    } finally {
+      if (!doneB) {
+        closeSource(sourceB);
+      }
+    }
+  }
+}
+
+function* intersperse(iter, delim) {
+  let first = true;
+  for (const x of iter) {
+    if (!first) yield delim;
+    first = false;
+    yield x;
+  }
+}
+
+function* enumerate(iter) {
+  let n = 0;
+  for (const x of iter) {
+    yield [x, n];
+    n++;
+  }
+}
+
+function* chunk(iter, n) {
+  let chunk = [];
+  for (const x of iter) {
+    chunk.push(x);
+    if (chunk.length === n) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    yield chunk;
+  }
+}
+
+function* windows(iter, size, step) {
+  let window = [];
+  let toSkip = 0;
+  for (const x of iter) {
+    if (toSkip > 0) {
+      toSkip--;
+    } else {
+      window.push(x);
+      if (window.length === size) {
+        yield window.slice();
+        if (step >= size) {
+          toSkip = step - size;
+          window = [];
+        } else {
+          window = window.slice(step);
+        }
+      }
+    }
+  }
+}
+
+function* chunkBy(iter, keyFn) {
+  let chunk = [];
+  let key;
+  for (const x of iter) {
+    const k = keyFn(x);
+    if (chunk.length > 0 && !Object.is(k, key)) {
+      yield chunk;
+      chunk = [];
+    }
+    key = k;
+    chunk.push(x);
+  }
+  if (chunk.length > 0) {
+    yield chunk;
+  }
+}
+
+function* takeWhile(iter, predicate) {
+  for (const x of iter) {
+    if (!predicate(x)) {
+      break;
+    }
+    yield x;
+  }
+}
+
+function* skipWhile(iter, predicate) {
+  let skipping = true;
+  for (const x of iter) {
+    if (skipping && !predicate(x)) {
+      skipping = false;
+    }
+    if (!skipping) {
+      yield x;
+    }
+  }
+}
+
+function* mapWhile(iter, f) {
+  for (const x of iter) {
+    const y = f(x);
+    if (y === undefined) {
+      break;
+    }
+    yield y;
+  }
+}
+
+function* scan(iter, init, f) {
+  let state = init;
+  for (const x of iter) {
+    state = f(state, x);
+    yield state;
+  }
+}
+
+function* stepBy(iter, n) {
+  let i = 0;
+  for (const x of iter) {
+    if (i % n === 0) {
+      yield x;
+    }
+    i++;
+  }
+}
+
+function* chain(iters) {
+  for (const iter of iters) {
+    for (const x of iter) {
+      yield x;
+    }
+  }
+}
+
+function* fuse(iter) {
+  for (const x of iter) {
+    yield x;
+  }
+}
+
+function* combinationIndices(n, r) {
+  if (r > n) {
+    return;
+  }
+  const indices = [];
+  for (let i = 0; i < r; i++) {
+    indices.push(i);
+  }
+  yield indices;
+  while (true) {
+    let i = r - 1;
+    while (i >= 0 && indices[i] === i + n - r) {
+      i--;
+    }
+    if (i < 0) {
+      return;
+    }
+    indices[i]++;
+    for (let j = i + 1; j < r; j++) {
+      indices[j] = indices[j - 1] + 1;
+    }
+    yield indices;
+  }
+}
+
+function* multisetIndices(n, r) {
+  if (n === 0 && r > 0) {
+    return;
+  }
+  const indices = new Array(r).fill(0);
+  yield indices;
+  while (true) {
+    let i = r - 1;
+    while (i >= 0 && indices[i] === n - 1) {
+      i--;
+    }
+    if (i < 0) {
+      return;
+    }
+    indices.fill(indices[i] + 1, i);
+    yield indices;
+  }
+}
+
+function* cartesianProduct(iter, others) {
+  let pools;
+  for (const x of iter) {
+    if (pools === undefined) {
+      pools = others.map((other) => [...sourceOf(other)]);
+      if (pools.some((pool) => pool.length === 0)) {
+        return;
+      }
+    }
+    const indices = new Array(pools.length).fill(0);
+    while (true) {
+      yield [x, ...indices.map((index, i) => pools[i][index])];
+      let i = pools.length - 1;
+      while (i >= 0 && indices[i] === pools[i].length - 1) {
+        indices[i] = 0;
+        i--;
+      }
+      if (i < 0) {
+        break;
+      }
+      indices[i]++;
+    }
+  }
+}
+
+function* permutations(iter, k) {
+  const pool = [...iter];
+  const n = pool.length;
+  const r = k === undefined ? n : k;
+  if (r > n) {
+    return;
+  }
+  const indices = pool.map((_, i) => i);
+  const cycles = [];
+  for (let i = 0; i < r; i++) {
+    cycles.push(n - i);
+  }
+  yield indices.slice(0, r).map((i) => pool[i]);
+  while (r > 0) {
+    let i = r - 1;
+    for (; i >= 0; i--) {
+      cycles[i]--;
+      if (cycles[i] === 0) {
+        indices.push(indices.splice(i, 1)[0]);
+        cycles[i] = n - i;
+      } else {
+        const j = n - cycles[i];
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+        yield indices.slice(0, r).map((index) => pool[index]);
+        break;
+      }
+    }
+    if (i < 0) {
+      return;
+    }
+  }
+}
+
+// Combinations are produced as each member of the source arrives, so that only the members seen
+// so far are buffered. Each new member is the last element of the combinations yielded with it.
+function* combinations(iter, k) {
+  if (k === 0) {
+    yield [];
+    return;
+  }
+  const pool = [];
+  for (const x of iter) {
+    for (const indices of combinationIndices(pool.length, k - 1)) {
+      yield [...indices.map((i) => pool[i]), x];
+    }
+    pool.push(x);
+  }
+}
+
+function* combinationsWithReplacement(iter, k) {
+  if (k === 0) {
+    yield [];
+    return;
+  }
+  const pool = [];
+  for (const x of iter) {
+    pool.push(x);
+    for (const indices of multisetIndices(pool.length, k - 1)) {
+      yield [...indices.map((i) => pool[i]), x];
+    }
+  }
+}
+
+function* powerset(iter) {
+  const pool = [];
+  yield [];
+  for (const x of iter) {
+    for (let r = 0; r <= pool.length; r++) {
+      for (const indices of combinationIndices(pool.length, r)) {
+        yield [...indices.map((i) => pool[i]), x];
+      }
+    }
+    pool.push(x);
+  }
+}
+
+function* unique(iter, keyFn) {
+  const seen = new Set();
+  for (const x of iter) {
+    const key = keyFn(x);
+    if (!seen.has(key)) {
+      seen.add(key);
+      yield x;
+    }
+  }
+}
+
+function* dedupe(iter, keyFn) {
+  let started = false;
+  let last;
+  for (const x of iter) {
+    const key = keyFn(x);
+    if (!started || !sameValueZero(key, last)) {
+      started = true;
+      last = key;
+      yield x;
+    }
+  }
+}
+
+function openCursor(source) {
+  const cursor = { iter: sourceOf(source), done: false, value: undefined };
+  advanceCursor(cursor);
+  return cursor;
+}
+
+function advanceCursor(cursor) {
+  const { done, value } = cursor.iter.next();
+  cursor.done = done;
+  cursor.value = value;
+}
+
+function closeCursors(cursors) {
+  for (const cursor of cursors) {
+    if (!cursor.done) {
+      closeSource(cursor.iter);
+    }
+  }
+}
+
+function* mergeSorted(sources, cmp) {
+  yield* mergeRuns(
+    sources.map((source) => keyed(sourceOf(source), identity)),
+    cmp
+  );
+}
+
+function* unionSorted(sources, cmp) {
+  let started = false;
+  let last;
+  for (const x of mergeSorted(sources, cmp)) {
+    if (!started || cmp(last, x) !== 0) {
+      started = true;
+      last = x;
+      yield x;
+    }
+  }
+}
+
+function* intersectSorted(sources, cmp) {
+  const cursors = [];
+  try {
+    for (const source of sources) {
+      cursors.push(openCursor(source));
+    }
+    while (cursors.every((cursor) => !cursor.done)) {
+      let max = cursors[0].value;
+      for (const cursor of cursors) {
+        if (cmp(cursor.value, max) > 0) {
+          max = cursor.value;
+        }
+      }
+      const matched = cursors.every((cursor) => cmp(cursor.value, max) === 0);
+      if (matched) {
+        yield max;
+      }
+      for (const cursor of cursors) {
+        while (!cursor.done && cmp(cursor.value, max) < (matched ? 1 : 0)) {
+          advanceCursor(cursor);
+        }
+      }
+    }
+  } finally {
+    closeCursors(cursors);
+  }
+}
+
+function* differenceSorted(iter, others, cmp) {
+  const cursors = [];
+  try {
+    for (const other of others) {
+      cursors.push(openCursor(other));
+    }
+    let started = false;
+    let last;
+    for (const x of iter) {
+      if (started && cmp(last, x) === 0) {
+        continue;
+      }
+      started = true;
+      last = x;
+      let excluded = false;
+      for (const cursor of cursors) {
+        while (!cursor.done && cmp(cursor.value, x) < 0) {
+          advanceCursor(cursor);
+        }
+        if (!cursor.done && cmp(cursor.value, x) === 0) {
+          excluded = true;
+        }
+      }
+      if (!excluded) {
+        yield x;
+      }
+    }
+  } finally {
+    closeCursors(cursors);
+  }
+}
+
+// Merges runs of entries, each sorted by key, preferring earlier runs when keys are equal
+function* mergeRuns(runs, cmp) {
+  const heap = new Heap(entryBefore(cmp));
+  try {
+    runs.forEach((iter, index) => {
+      const { done, value } = iter.next();
+      if (!done) {
+        heap.push({ key: value.key, value: value.value, index, iter });
+      }
+    });
+    while (heap.size() > 0) {
+      const min = heap.peek();
+      yield min.value;
+      const { done, value } = min.iter.next();
+      if (done) {
+        heap.pop();
+      } else {
+        heap.replace({ key: value.key, value: value.value, index: min.index, iter: min.iter });
+      }
+    }
+  } finally {
+    heap.items.forEach(({ iter }) => closeSource(iter));
+  }
+}
+
+function* keyed(values, keyFn) {
+  for (const value of values) {
+    yield { key: keyFn(value), value };
+  }
+}
+
+function* sorted(iter, keyFn, cmp, options) {
+  const { budget, serialize, deserialize, tmpdir } = options;
+  // Without a key function each member is its own key, so only the member needs spilling
+  const bare = keyFn === identity;
+  let entries = [];
+  let index = 0;
+  let directory;
+  const files = [];
+  try {
+    for (const value of iter) {
+      entries.push({ key: keyFn(value), value, index });
+      index++;
+      if (entries.length === budget) {
+        // Array#sort is stable, and the entries are already in the order of the source
+        entries.sort((a, b) => cmp(a.key, b.key));
+        if (directory === undefined) {
+          directory = createSpillDirectorySync(tmpdir);
+        }
+        const spilled = entries.map(({ key, value }) => (bare ? value : { key, value }));
+        files.push(writeRunSync(directory, files.length, spilled, serialize));
+        entries = [];
+      }
+    }
+    if (directory === undefined) {
+      yield* heapSort(entries, cmp);
+      return;
+    }
+    entries.sort((a, b) => cmp(a.key, b.key));
+    const runs = files.map((file) => {
+      const run = readRunSync(file, deserialize);
+      return bare ? keyed(run, identity) : run;
+    });
+    runs.push(entries.values());
+    yield* mergeRuns(runs, cmp);
+  } finally {
+    if (directory !== undefined) {
+      removeSpillDirectorySync(directory);
+    }
+  }
+}
+
+function* kWayMerge(iter, cmp) {
+  yield* mergeSorted([...iter], cmp);
+}
+
+// Yields the `k` smallest members in order when `sign` is 1, or the `k` largest when it is -1,
+// keeping only the best `k` seen so far in a heap with the worst of them at its root
+function* extremes(iter, k, cmp, sign) {
+  if (k === 0) {
+    return;
+  }
+  const worse = (a, b) => {
+    const order = sign * cmp(a.value, b.value);
+    return order > 0 || (order === 0 && a.index > b.index);
+  };
+  const heap = new Heap(worse);
+  let index = 0;
+  for (const value of iter) {
+    const entry = { value, index };
+    index++;
+    if (heap.size() < k) {
+      heap.push(entry);
+    } else if (worse(heap.peek(), entry)) {
+      heap.replace(entry);
+    }
+  }
+  const best = heap.items.sort((a, b) => sign * cmp(a.value, b.value) || a.index - b.index);
+  for (const { value } of best) {
+    yield value;
+  }
+}
+
+// Yields the members of the source until it is exhausted or throws, producing the error it threw
+// if any. Only errors thrown by the source are caught: an error thrown into the generator while it
+// is suspended at a yield propagates to the caller, and the source is closed.
+function* untilError(iter) {
+  const source = iter[Symbol.iterator]();
+  let finished = false;
+  try {
+    while (true) {
+      let next;
+      try {
+        next = source.next();
+      } catch (error) {
+        finished = true;
+        return { failed: true, error };
+      }
+      if (next.done) {
+        finished = true;
+        return { failed: false };
+      }
+      yield next.value;
+    }
+  } finally {
+    if (!finished) {
+      closeSource(source);
+    }
+  }
+}
+
+function* catchError(iter, handler) {
+  const { failed, error } = yield* untilError(iter);
+  if (failed) {
+    for (const x of handler(error)) {
+      yield x;
+    }
+  }
+}
+
+function* onError(iter, f) {
+  const { failed, error } = yield* untilError(iter);
+  if (failed) {
+    f(error);
+    throw error;
+  }
+}
+
+function* tryMap(iter, f) {
+  for (const x of iter) {
+    let result;
+    try {
+      result = { ok: true, value: f(x) };
+    } catch (error) {
+      result = { ok: false, error };
+    }
+    yield result;
+  }
+}
+
+function* trace(iter, label, logger) {
+  const events = tracer(label, logger);
+  try {
+    for (const x of iter) {
+      events.yielded(x);
+      yield x;
+    }
+    events.done();
+  } catch (e) {
+    events.failed(e);
+    throw e;
+  } finally {
+    events.closed();
+  }
+}
+
+// Produces the first member with the smallest key when `sign` is 1, or the largest when it is -1
+function extreme(iter, keyFn, cmp, sign) {
+  let best;
+  let bestKey;
+  let found = false;
+  for (const x of iter) {
+    const key = keyFn(x);
+    if (!found || sign * cmp(key, bestKey) < 0) {
+      best = x;
+      bestKey = key;
+      found = true;
+    }
+  }
+  return best;
+}
+
+function teeConsumer(state, consumer, maxBuffer) {
+  return {
+    next() {
+      if (!consumer.active) {
+        return { done: true, value: undefined };
+      }
+      if (consumer.pos === teeEnd(state)) {
+        if (state.failed) {
+          throw state.error;
+        }
+        if (state.done) {
+          return { done: true, value: undefined };
+        }
+        checkTeeBuffer(state, consumer, maxBuffer);
+        let result;
+        try {
+          result = state.source.next();
+        } catch (err) {
+          state.failed = true;
+          state.error = err;
+          throw err;
+        }
+        if (result.done) {
+          state.done = true;
+          return { done: true, value: undefined };
+        }
+        state.buffer.push(result.value);
+      }
+      return { done: false, value: takeTee(state, consumer) };
+    },
+    return(value) {
+      if (consumer.active) {
+        releaseTee(state, consumer);
+        if (!state.done && !state.failed && state.consumers.every((c) => !c.active)) {
+          state.done = true;
+          closeSource(state.source);
+        }
+      }
+      return { done: true, value };
+    },
+    [Symbol.iterator]() {
+      return this;
+    }
+  };
+}
+
+function tee(iter, n, maxBuffer) {
+  const state = teeState(iter[Symbol.iterator](), n);
+  return state.consumers.map((consumer) => teeConsumer(state, consumer, maxBuffer));
+}
+
+function onFinally(iter, f) {
+  const source = iter[Symbol.iterator]();
+  let finished = false;
+  const finish = () => {
+    if (!finished) {
+      finished = true;
+      f();
+    }
+  };
+  return {
+    next() {
+      if (finished) {
+        return { done: true, value: undefined };
+      }
+      let result;
+      try {
+        result = source.next();
+      } catch (err) {
+        finish();
+        throw err;
+      }
+      if (result.done) {
+        finish();
+      }
+      return result;
+    },
+    return(value) {
+      try {
+        if (!finished) {
+          closeSource(source);
+        }
+      } finally {
+        finish();
+      }
+      return { done: true, value };
+    },
+    throw(err) {
+      this.return();
+      throw err;
+    },
+    [Symbol.iterator]() {
+      return this;
+    }
+  };
+}
+
+function fold(iter, init, reducer) {
+  let val = init;
+  for (const x of iter) {
+    val = reducer(val, x);
+  }
+  return val;
+}
+
+// Collects members into a list, which is allocated at its final size if that is known, or into
+// the result of the specified collector
+function collect(iter, collector, size = Infinity) {
+  if (collector === undefined) {
+    const collected = size <= MAX_LIST_LENGTH ? new Array(size) : [];
+    let i = 0;
+    for (const x of iter) {
+      collected[i] = x;
+      i++;
+    }
+    collected.length = i;
+    return collected;
+  }
+  if (!isCollector(collector)) {
+    throw new Error(`${collector} is not a collector`);
+  }
+  let state = collector.init();
+  for (const x of iter) {
+    state = collector.step(state, x);
+  }
+  return collector.finish(state);
+}
+
+function forEach(iter, f) {
+  for (const x of iter) {
+    f(x);
+  }
+}
+
+function count(iter) {
+  return fold(iter, 0, (n) => n + 1);
+}
+
+function nth(iter, n) {
+  return n < 0 ? undefined : first(skip(iter, n));
+}
+
+function last(iter) {
+  let result;
+  for (const x of iter) {
+    result = x;
+  }
+  return result;
+}
+
+function any(iter, predicate) {
+  for (const x of iter) {
+    if (predicate(x)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function all(iter, predicate) {
+  for (const x of iter) {
+    if (!predicate(x)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function first(iter) {
+  for (const x of iter) {
+    return x;
+  }
+  return undefined;
+}
+
+module.exports = {
+  isIterator,
+  isIndexable,
+  closeSource,
+  take,
+  rev,
+  skip,
+  map,
+  filter,
+  use,
+  flatten,
+  loop,
+  flatMap,
+  zip,
+  intersperse,
+  enumerate,
+  chunk,
+  windows,
+  chunkBy,
+  takeWhile,
+  skipWhile,
+  mapWhile,
+  scan,
+  stepBy,
+  chain,
+  fuse,
+  cartesianProduct,
+  permutations,
+  combinations,
+  combinationsWithReplacement,
+  powerset,
+  unique,
+  dedupe,
+  mergeSorted,
+  unionSorted,
+  intersectSorted,
+  differenceSorted,
+  sorted,
+  kWayMerge,
+  extremes,
+  catchError,
+  onError,
+  tryMap,
+  trace,
+  tee,
+  onFinally,
+  fold,
+  collect,
+  forEach,
+  count,
+  nth,
+  last,
+  any,
+  all,
+  first,
+  extreme
+};
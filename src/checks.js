@@ -0,0 +1,14 @@
+// Checks of the arguments accepted by the methods of both kinds of iterator and by the standalone
+// operators, so that each rejects an invalid argument with the same error
+
+// Throws unless the specified number is an integer no smaller than `min`, naming what it counts
+// in the error
+function checkInteger(n, min, name) {
+  if (!Number.isInteger(n) || n < min) {
+    throw new Error(`${n} is not a valid ${name}`);
+  }
+}
+
+module.exports = {
+  checkInteger
+};
@@ -0,0 +1,335 @@
+const { identity } = require('./compare');
+
+function entryKey([key]) {
+  return key;
+}
+
+function entryValue([, value]) {
+  return value;
+}
+
+// Passes the specified value to `f`, or what it resolves to if it is a promise, in which case the
+// step of the collector produces a promise, which the `collect` of an async iterator awaits
+function resolved(value, f) {
+  if (value == null || typeof value.then !== 'function') {
+    return f(value);
+  }
+  return value.then(f);
+}
+
+/**
+ * Produces a collector, which describes how the members of an iterator are accumulated by the
+ * `collect` terminal operation. A fresh state is produced by `init` for each collection, each
+ * member is folded into it with `step`, and the result is produced from the final state with
+ * `finish`.
+ * @param {function} init the function producing the initial state
+ * @param {function} step the function producing the next state from the state and a member
+ * @param {function} finish the function producing the result from the final state
+ */
+function collector(init, step, finish = identity) {
+  return { init, step, finish };
+}
+
+/**
+ * Determines whether or not the specified object is a collector.
+ * @param {any} obj the object to test
+ */
+function isCollector(obj) {
+  return (
+    obj != null &&
+    typeof obj.init === 'function' &&
+    typeof obj.step === 'function' &&
+    typeof obj.finish === 'function'
+  );
+}
+
+/**
+ * Produces a collector which collects members into a list.
+ */
+function toArray() {
+  return collector(
+    () => [],
+    (list, x) => {
+      list.push(x);
+      return list;
+    }
+  );
+}
+
+/**
+ * Produces a collector which collects members into a `Set`.
+ */
+function toSet() {
+  return collector(
+    () => new Set(),
+    (set, x) => set.add(x)
+  );
+}
+
+/**
+ * Produces a collector which collects members into a `Map`. By default, members are expected to
+ * be `[key, value]` pairs. If two members produce the same key, their values are combined with
+ * `mergeFn`, or an error is thrown if it is not specified. When collecting an async iterator,
+ * these functions may return promises, which are awaited.
+ * @param {function} keyFn the function producing the key of each member
+ * @param {function} valueFn the function producing the value of each member
+ * @param {function} mergeFn the function combining the existing value and a new value
+ */
+function toMap(keyFn = entryKey, valueFn = entryValue, mergeFn) {
+  const add = (map, key, value) => {
+    if (!map.has(key)) {
+      return map.set(key, value);
+    } else if (mergeFn !== undefined) {
+      return resolved(mergeFn(map.get(key), value), (merged) => map.set(key, merged));
+    } else {
+      throw new Error(`Duplicate key ${key}`);
+    }
+  };
+  return collector(
+    () => new Map(),
+    (map, x) => resolved(keyFn(x), (key) => resolved(valueFn(x), (value) => add(map, key, value)))
+  );
+}
+
+/**
+ * Produces a collector which collects members into a plain object. By default, members are
+ * expected to be `[key, value]` pairs. If two members produce the same key, their values are
+ * combined with `mergeFn`, or an error is thrown if it is not specified. As with `toMap`, the
+ * functions may be asynchronous when collecting an async iterator.
+ * @param {function} keyFn the function producing the key of each member
+ * @param {function} valueFn the function producing the value of each member
+ * @param {function} mergeFn the function combining the existing value and a new value
+ */
+function toObject(keyFn = entryKey, valueFn = entryValue, mergeFn) {
+  const inner = toMap(keyFn, valueFn, mergeFn);
+  return collector(inner.init, inner.step, (map) => {
+    const obj = {};
+    for (const [key, value] of map) {
+      obj[key] = value;
+    }
+    return obj;
+  });
+}
+
+/**
+ * Produces a collector which groups members into a `Map` by the key produced by `keyFn`. The
+ * members of each group are collected with the `downstream` collector, which collects them into a
+ * list by default. The key function may return a promise when collecting an async iterator, in
+ * which case it is awaited before the member is added to its group.
+ * @param {function} keyFn the function producing the key of each member
+ * @param {object} downstream the collector used for each group
+ */
+function groupBy(keyFn, downstream = toArray()) {
+  return collector(
+    () => new Map(),
+    (groups, x) =>
+      resolved(keyFn(x), (key) => {
+        const state = groups.has(key) ? groups.get(key) : downstream.init();
+        return groups.set(key, downstream.step(state, x));
+      }),
+    (groups) => {
+      const result = new Map();
+      for (const [key, state] of groups) {
+        result.set(key, downstream.finish(state));
+      }
+      return result;
+    }
+  );
+}
+
+/**
+ * Produces a collector which splits members into a pair of the members that satisfy the specified
+ * predicate and those that do not. Each side is collected with the `downstream` collector, which
+ * collects them into a list by default. With an async iterator, the predicate may be
+ * asynchronous.
+ * @param {function} predicate the predicate
+ * @param {object} downstream the collector used for each side
+ */
+function partition(predicate, downstream = toArray()) {
+  return collector(
+    () => [downstream.init(), downstream.init()],
+    (sides, x) =>
+      resolved(predicate(x), (satisfied) => {
+        const i = satisfied ? 0 : 1;
+        sides[i] = downstream.step(sides[i], x);
+        return sides;
+      }),
+    ([pass, fail]) => [downstream.finish(pass), downstream.finish(fail)]
+  );
+}
+
+/**
+ * Produces a collector which joins members into a string, separated by the specified delimiter.
+ * @param {string} sep the delimiter
+ */
+function joining(sep = '') {
+  return collector(
+    () => [],
+    (parts, x) => {
+      parts.push(String(x));
+      return parts;
+    },
+    (parts) => parts.join(sep)
+  );
+}
+
+/**
+ * Produces a collector which counts members.
+ */
+function counting() {
+  return collector(
+    () => 0,
+    (count) => count + 1
+  );
+}
+
+function kindOf(state, x) {
+  const kind = typeof x === 'bigint' ? 'bigint' : 'number';
+  if (state.kind !== undefined && state.kind !== kind) {
+    throw new Error('Cannot mix BigInt and number members');
+  }
+  return kind;
+}
+
+// Adds a member to a running sum, using Neumaier's compensated summation for numbers so that
+// rounding errors do not accumulate over long streams
+function addToSum(state, x) {
+  state.kind = kindOf(state, x);
+  if (state.kind === 'bigint') {
+    state.sum = state.count === 0 ? x : state.sum + x;
+  } else {
+    const t = state.sum + x;
+    if (Math.abs(state.sum) >= Math.abs(x)) {
+      state.compensation += state.sum - t + x;
+    } else {
+      state.compensation += x - t + state.sum;
+    }
+    state.sum = t;
+  }
+  state.count++;
+  return state;
+}
+
+function sumOf(state) {
+  if (state.kind === 'bigint' || !Number.isFinite(state.sum)) {
+    return state.sum;
+  }
+  return state.sum + state.compensation;
+}
+
+function sumState() {
+  return { kind: undefined, sum: 0, compensation: 0, count: 0 };
+}
+
+/**
+ * Produces a collector which sums the numbers produced by the specified function from each
+ * member, or the members themselves by default. Numbers are summed with compensated summation to
+ * limit rounding errors, and BigInts are summed exactly.
+ * @param {function} f the function producing the number to add for each member
+ */
+function summing(f = identity) {
+  return collector(sumState, (state, x) => addToSum(state, f(x)), sumOf);
+}
+
+/**
+ * Produces a collector which multiplies the numbers produced by the specified function from each
+ * member, or the members themselves by default. BigInts are multiplied exactly.
+ * @param {function} f the function producing the number to multiply by for each member
+ */
+function multiplying(f = identity) {
+  return collector(
+    () => ({ kind: undefined, product: 1 }),
+    (state, x) => {
+      const y = f(x);
+      const first = state.kind === undefined;
+      state.kind = kindOf(state, y);
+      state.product = first ? y : state.product * y;
+      return state;
+    },
+    (state) => state.product
+  );
+}
+
+/**
+ * Produces a collector which averages the numbers produced by the specified function from each
+ * member, or the members themselves by default, producing `undefined` if there are none. The
+ * average of BigInts is truncated towards zero.
+ * @param {function} f the function producing the number to average for each member
+ */
+function averaging(f = identity) {
+  return collector(
+    sumState,
+    (state, x) => addToSum(state, f(x)),
+    (state) => {
+      if (state.count === 0) {
+        return undefined;
+      } else if (state.kind === 'bigint') {
+        return state.sum / BigInt(state.count);
+      } else {
+        return sumOf(state) / state.count;
+      }
+    }
+  );
+}
+
+/**
+ * Produces a collector which computes, in a single pass, the `count`, `mean`, population
+ * `variance`, `min` and `max` of the numbers produced by the specified function from each member,
+ * or the members themselves by default. BigInts are converted to numbers for the mean and
+ * variance. All but the count are `undefined` if there are no members.
+ * @param {function} f the function producing the number to measure for each member
+ */
+function statistics(f = identity) {
+  return collector(
+    () => ({ count: 0, mean: 0, m2: 0, min: undefined, max: undefined }),
+    (state, x) => {
+      const y = f(x);
+      const value = Number(y);
+      state.count++;
+      const delta = value - state.mean;
+      state.mean += delta / state.count;
+      state.m2 += delta * (value - state.mean);
+      if (state.count === 1 || y < state.min) {
+        state.min = y;
+      }
+      if (state.count === 1 || y > state.max) {
+        state.max = y;
+      }
+      return state;
+    },
+    ({ count, mean, m2, min, max }) => {
+      if (count === 0) {
+        return { count, mean: undefined, variance: undefined, min, max };
+      }
+      return { count, mean, variance: m2 / count, min, max };
+    }
+  );
+}
+
+/**
+ * Produces a collector which transforms each member with the specified function before passing it
+ * on to the `downstream` collector.
+ * @param {function} f the function to execute on each member
+ * @param {object} downstream the collector receiving the transformed members
+ */
+function mapping(f, downstream) {
+  return collector(downstream.init, (state, x) => downstream.step(state, f(x)), downstream.finish);
+}
+
+module.exports = {
+  collector,
+  isCollector,
+  toArray,
+  toSet,
+  toMap,
+  toObject,
+  groupBy,
+  partition,
+  joining,
+  counting,
+  summing,
+  multiplying,
+  averaging,
+  statistics,
+  mapping
+};
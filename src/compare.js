@@ -0,0 +1,53 @@
+/**
+ * Compares two values using the `<` and `>` operators, producing a negative number if `a` orders
+ * before `b`, a positive number if it orders after, and `0` otherwise. This is the ordering used
+ * by operations which accept an optional comparator.
+ * @param {any} a the first value
+ * @param {any} b the second value
+ */
+function compare(a, b) {
+  if (a < b) {
+    return -1;
+  } else if (a > b) {
+    return 1;
+  } else {
+    return 0;
+  }
+}
+
+/**
+ * Determines whether two values are equal using the SameValueZero algorithm, as `Set` and `Map`
+ * do, so that `NaN` equals itself.
+ * @param {any} a the first value
+ * @param {any} b the second value
+ */
+function sameValueZero(a, b) {
+  return a === b || (a !== a && b !== b);
+}
+
+/**
+ * Splits the arguments of an operation which accepts an optional comparator as its last argument
+ * into the other arguments and the comparator, which is `compare` if none is given.
+ * @param {Array} args the arguments
+ */
+function splitComparator(args) {
+  if (typeof args[args.length - 1] === 'function') {
+    return [args.slice(0, -1), args[args.length - 1]];
+  }
+  return [args, compare];
+}
+
+/**
+ * Produces its argument. This is the key used by operations which accept an optional key function.
+ * @param {any} x the argument
+ */
+function identity(x) {
+  return x;
+}
+
+module.exports = {
+  compare,
+  sameValueZero,
+  splitComparator,
+  identity
+};
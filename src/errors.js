@@ -0,0 +1,38 @@
+/**
+ * @constructor produces an error signalling that an operation did not complete in time
+ * @param {string} message the error message
+ */
+class TimeoutError extends Error {
+  constructor(message = 'The operation timed out') {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * @constructor produces an error signalling that an operation was aborted through an `AbortSignal`
+ * @param {string} message the error message
+ */
+class AbortError extends Error {
+  constructor(message = 'The operation was aborted') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * @constructor produces an error signalling that a worker thread stopped before completing a task
+ * @param {string} message the error message
+ */
+class WorkerError extends Error {
+  constructor(message = 'The worker stopped before completing its task') {
+    super(message);
+    this.name = 'WorkerError';
+  }
+}
+
+module.exports = {
+  TimeoutError,
+  AbortError,
+  WorkerError
+};
@@ -0,0 +1,180 @@
+/**
+ * @constructor produces a binary heap, which keeps whichever of its items comes first according to
+ * the specified ordering at its root
+ * @param {function} before the function determining whether its first argument comes before its
+ * second
+ * @param {Array} items the initial items, which the heap takes ownership of
+ */
+class Heap {
+  constructor(before, items = []) {
+    this.before = before;
+    this.items = items;
+    for (let i = Math.floor(items.length / 2) - 1; i >= 0; i--) {
+      this.siftDown(i);
+    }
+  }
+
+  /**
+   * Produces the number of items in the heap.
+   */
+  size() {
+    return this.items.length;
+  }
+
+  /**
+   * Produces the item at the root of the heap without removing it.
+   */
+  peek() {
+    return this.items[0];
+  }
+
+  /**
+   * Adds the specified item to the heap.
+   * @param {any} item the item to add
+   */
+  push(item) {
+    this.items.push(item);
+    this.siftUp(this.items.length - 1);
+  }
+
+  /**
+   * Removes and produces the item at the root of the heap.
+   */
+  pop() {
+    const root = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      this.siftDown(0);
+    }
+    return root;
+  }
+
+  /**
+   * Removes and produces the item at the root of the heap, adding the specified item in its place.
+   * This is faster than a `pop` followed by a `push`.
+   * @param {any} item the item to add
+   */
+  replace(item) {
+    const root = this.items[0];
+    this.items[0] = item;
+    this.siftDown(0);
+    return root;
+  }
+
+  siftUp(i) {
+    const { items } = this;
+    let child = i;
+    while (child > 0) {
+      const parent = Math.floor((child - 1) / 2);
+      if (!this.before(items[child], items[parent])) {
+        return;
+      }
+      [items[child], items[parent]] = [items[parent], items[child]];
+      child = parent;
+    }
+  }
+
+  siftDown(i) {
+    const { items } = this;
+    let parent = i;
+    while (true) {
+      const left = 2 * parent + 1;
+      const right = left + 1;
+      let first = parent;
+      if (left < items.length && this.before(items[left], items[first])) {
+        first = left;
+      }
+      if (right < items.length && this.before(items[right], items[first])) {
+        first = right;
+      }
+      if (first === parent) {
+        return;
+      }
+      [items[first], items[parent]] = [items[parent], items[first]];
+      parent = first;
+    }
+  }
+}
+
+/**
+ * @constructor produces an empty binary heap like `Heap`, except that its ordering may return a
+ * promise, so that adding and removing items produce promises. Items must be added with `push`
+ * rather than passed to the constructor.
+ * @param {function} before the function determining whether its first argument comes before its
+ * second, or producing a promise of that
+ */
+class AsyncHeap extends Heap {
+  /**
+   * Adds the specified item to the heap, producing a promise which resolves once it is in place.
+   * @param {any} item the item to add
+   */
+  async push(item) {
+    this.items.push(item);
+    await this.siftUp(this.items.length - 1);
+  }
+
+  /**
+   * Removes the item at the root of the heap, producing a promise of it.
+   */
+  async pop() {
+    const root = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      await this.siftDown(0);
+    }
+    return root;
+  }
+
+  /**
+   * Removes the item at the root of the heap, adding the specified item in its place and
+   * producing a promise of the removed item.
+   * @param {any} item the item to add
+   */
+  async replace(item) {
+    const root = this.items[0];
+    this.items[0] = item;
+    await this.siftDown(0);
+    return root;
+  }
+
+  async siftUp(i) {
+    const { items } = this;
+    let child = i;
+    while (child > 0) {
+      const parent = Math.floor((child - 1) / 2);
+      if (!(await this.before(items[child], items[parent]))) {
+        return;
+      }
+      [items[child], items[parent]] = [items[parent], items[child]];
+      child = parent;
+    }
+  }
+
+  async siftDown(i) {
+    const { items } = this;
+    let parent = i;
+    while (true) {
+      const left = 2 * parent + 1;
+      const right = left + 1;
+      let first = parent;
+      if (left < items.length && (await this.before(items[left], items[first]))) {
+        first = left;
+      }
+      if (right < items.length && (await this.before(items[right], items[first]))) {
+        first = right;
+      }
+      if (first === parent) {
+        return;
+      }
+      [items[first], items[parent]] = [items[parent], items[first]];
+      parent = first;
+    }
+  }
+}
+
+module.exports = {
+  Heap,
+  AsyncHeap
+};
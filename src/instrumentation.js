@@ -0,0 +1,78 @@
+// Helpers shared by `trace`, `describe` and `instrument` on both kinds of iterator. Each adapter
+// method records the stage which produced its iterator, so the chain can be walked back to its
+// source.
+
+function stageRecord(stage) {
+  return { stage, elementsIn: 0, elementsOut: 0, callbackTime: 0, errors: 0 };
+}
+
+// Counts an error thrown through a stage. An error is only counted by the first stage it passes
+// through, which is the stage that threw it.
+function countError(record, state, e) {
+  if (state.lastError !== e) {
+    state.lastError = e;
+    record.errors++;
+  }
+}
+
+// Produces the callbacks through which a traced iterator reports to its logger. Closing the
+// iterator is only reported if it had neither finished nor thrown.
+function tracer(label, logger) {
+  let finished = false;
+  return {
+    yielded(x) {
+      logger(label, 'yield', x);
+    },
+    done() {
+      finished = true;
+      logger(label, 'done');
+    },
+    failed(e) {
+      finished = true;
+      logger(label, 'error', e);
+    },
+    closed() {
+      if (!finished) {
+        logger(label, 'return');
+      }
+    }
+  };
+}
+
+function formatArg(arg) {
+  if (typeof arg === 'string') {
+    return JSON.stringify(arg);
+  }
+  if (typeof arg === 'bigint') {
+    return `${arg}n`;
+  }
+  return String(arg);
+}
+
+function formatStage({ name, args }) {
+  const primitive = args.every(
+    (arg) => arg === null || !['object', 'function'].includes(typeof arg)
+  );
+  if (args.length === 0 || !primitive) {
+    return name;
+  }
+  return `${name}(${args.map(formatArg).join(', ')})`;
+}
+
+function stagesOf(iter) {
+  const stages = [];
+  let root = iter;
+  while (root.origin !== undefined) {
+    stages.unshift(root.origin);
+    root = root.origin.parent;
+  }
+  return { root, stages };
+}
+
+module.exports = {
+  stageRecord,
+  countError,
+  tracer,
+  formatStage,
+  stagesOf
+};
@@ -1,122 +1,186 @@
-function isAsyncIterator(obj) {
-  return obj != null && typeof obj[Symbol.asyncIterator] === 'function';
-}
+const { pipeline, Readable } = require('stream');
+const { performance } = require('perf_hooks');
+const { promisify } = require('util');
+const {
+  abortable,
+  all,
+  any,
+  asyncSource,
+  buffer,
+  bufferTime,
+  catchError,
+  chain,
+  checkBufferOptions,
+  chunk,
+  chunkBy,
+  closeSource,
+  collect,
+  combineLatest,
+  debounce,
+  dedupe,
+  defaultWorkers,
+  delay,
+  differenceSorted,
+  enumerate,
+  extreme,
+  extremes,
+  filter,
+  first,
+  flatMap,
+  flatten,
+  fold,
+  forEach,
+  fuse,
+  intersectSorted,
+  intersperse,
+  isAsyncIterator,
+  isIterator,
+  kWayMerge,
+  loop,
+  map,
+  mapConcurrent,
+  mapWhile,
+  merge,
+  mergeSorted,
+  onError,
+  onFinally,
+  parallelMap,
+  race,
+  retry,
+  scan,
+  skip,
+  skipWhile,
+  sorted,
+  sourceOf,
+  stepBy,
+  take,
+  takeWhile,
+  tee,
+  throttle,
+  timeout,
+  trace,
+  tryMap,
+  unionSorted,
+  unique,
+  use,
+  windows,
+  zip
+} = require('../adapters/async');
+const { checkInteger } = require('../checks');
+const { averaging, multiplying, statistics, summing } = require('../collectors');
+const { compare, identity, splitComparator } = require('../compare');
+const { countError, formatStage, stageRecord, stagesOf } = require('../instrumentation');
+const { resolveFunction } = require('../pool');
+const { defaultScheduler } = require('../scheduler');
+const { checkSortOptions } = require('../sort');
 
-async function* take(iter, n) {
-  let i = 0;
-  for await (const x of iter) {
-    if (i < n) {
-      i++;
-      yield x;
-    } else {
-      break;
-    }
-  }
-}
-
-async function* skip(iter, n) {
-  let i = 0;
-  for await (const x of iter) {
-    i++;
-    if (i > n) {
-      yield x;
-    }
-  }
-}
+const pipelineAsync = promisify(pipeline);
 
-async function* map(iter, f) {
-  for await (const x of iter) {
-    yield f(x);
-  }
+function isReadable(obj) {
+  return obj != null && typeof obj.pipe === 'function' && isAsyncIterator(obj);
 }
 
-async function* filter(iter, predicate) {
-  for await (const x of iter) {
-    if (predicate(x)) {
+// Counts the members yielded by a stage, and the errors it throws
+async function* probe(iter, record, state) {
+  try {
+    for await (const x of iter) {
+      record.elementsOut++;
       yield x;
     }
+  } catch (e) {
+    countError(record, state, e);
+    throw e;
   }
 }
 
-async function* use(iter, f) {
-  for await (const x of iter) {
-    f(x);
-    yield x;
-  }
-}
-
-async function* flatten(iter) {
-  for await (const x of iter) {
-    if (x instanceof AsyncIterator) {
-      for await (const y of x.iter) {
-        yield y;
-      }
-    } else {
-      for await (const y of x) {
-        yield y;
-      }
+// Callbacks which return promises are timed until the promise settles. Other callbacks return
+// their results directly, since not every function argument is awaited.
+function timed(f, record) {
+  return (...args) => {
+    const start = performance.now();
+    const stop = () => {
+      record.callbackTime += performance.now() - start;
+    };
+    let result;
+    try {
+      result = f(...args);
+    } catch (e) {
+      stop();
+      throw e;
     }
-  }
+    if (result == null || typeof result.then !== 'function') {
+      stop();
+      return result;
+    }
+    return result.then(
+      (value) => {
+        stop();
+        return value;
+      },
+      (e) => {
+        stop();
+        throw e;
+      }
+    );
+  };
 }
 
-async function* loop(iter) {
-  const yielded = [];
-  for await (const x of iter) {
-    yielded.push(x);
-    yield x;
-  }
-  while (true) {
-    yield* yielded;
+// Closes the iterators wrapped by every iterator the specified iterator was derived from, including
+// those passed as arguments, without waiting for them. A source blocked on a pending member is
+// closed even though the adapters pulling from it, being async generators, only close once that
+// member arrives.
+function closeUpstream(iter) {
+  if (iter.origin === undefined) {
+    return;
   }
-}
-
-async function* flatMap(iter, f) {
-  for await (const x of iter) {
-    const innerIter = f(iter);
-    if (innerIter instanceof AsyncIterator) {
-      yield* innerIter.iter;
-    } else {
-      yield* innerIter;
+  const { parent, args } = iter.origin;
+  [parent, ...args].forEach((arg) => {
+    if (arg instanceof AsyncIterator) {
+      closeSource(arg.iter);
+      closeUpstream(arg);
+    } else if (arg != null && typeof arg.return === 'function') {
+      closeSource(arg);
     }
-  }
+  });
 }
 
-async function* zip(iterA, iterB) {
-  while (true) {
-    const a = await iterA.next();
-    const b = await iterB.next();
-    if (a !== undefined && b !== undefined) {
-      yield [a.value, b.value];
-    } else {
-      break;
-    }
+// Makes the specified iterator observe the specified signal, unless it already does
+function observe(iter, signal) {
+  if (!iter.signals.includes(signal)) {
+    iter.signals.push(signal);
   }
 }
 
-async function* intersperse(iter, delim) {
-  let first = true;
-  for await (const x of iter) {
-    if (!first) yield delim;
-    first = false;
-    yield x;
+// Produces the iterator wrapped by the specified iterator for an operation which consumes it,
+// stopping it when any signal it observes is aborted. Signals are only listened to at the end of a
+// pipeline which is consumed, so each signal has a single listener however many stages it has.
+function consumed(iter) {
+  if (!iter.guarded) {
+    iter.guarded = true;
+    iter.iter = iter.signals.reduce(
+      (source, signal) => abortable(source, signal, () => closeUpstream(iter)),
+      iter.iter
+    );
   }
+  return iter.iter;
 }
 
-async function* enumerate(iter) {
-  let n = 0;
-  for await (const x of iter) {
-    yield [x, n];
-    n++;
+class AsyncIterator {
+  constructor(iter, { signal } = {}) {
+    this.iter = asyncSource(iter);
+    this.signals = signal === undefined ? [] : [signal];
+    this.guarded = false;
   }
-}
 
-class AsyncIterator {
-  constructor(iter) {
-    if (isAsyncIterator(iter)) {
-      this.iter = iter;
-    } else {
-      throw new Error(`${iter} is not an async iterator`);
-    }
+  /**
+   * Produces a new iterator which stops as soon as the specified signal is aborted. Any pending
+   * request for the next member is rejected with an `AbortError`, which propagates to the
+   * terminal operation consuming the iterator, and this iterator is closed along with every
+   * iterator it was derived from. Iterators derived from the new iterator observe the signal too.
+   * @param {AbortSignal} signal the signal to observe
+   */
+  withSignal(signal) {
+    return asyncIterator(this.iter, { signal });
   }
 
   /**
@@ -128,6 +192,15 @@ class AsyncIterator {
     return asyncIterator(use(this.iter, f));
   }
 
+  /**
+   * Produces a new iterator which executes the specified function exactly once, as soon as this
+   * iterator is exhausted, throws, or is closed early by its consumer.
+   * @param {function} f the function to execute
+   */
+  onFinally(f) {
+    return asyncIterator(onFinally(this.iter, f));
+  }
+
   /**
    * Produces a new iterator that yields the first `n` members of this iterator before terminating.
    * @param {number} n the number of members to yield
@@ -154,6 +227,41 @@ class AsyncIterator {
     return asyncIterator(map(this.iter, f));
   }
 
+  /**
+   * Produces a new iterator where the specified function is executed on each member of the
+   * iterator, transforming it, with up to `concurrency` invocations in flight at once. If `ordered`
+   * is `true`, results are yielded in the order of the source members. Otherwise, they are yielded
+   * in the order in which they complete.
+   * @param {function} f the function to execute on each member
+   * @param {object} options the concurrency options
+   * @param {number} options.concurrency the maximum number of pending invocations
+   * @param {boolean} options.ordered whether results should be yielded in source order
+   */
+  mapConcurrent(f, { concurrency = 1, ordered = true } = {}) {
+    checkInteger(concurrency, 1, 'concurrency');
+    return asyncIterator(mapConcurrent(this.iter, f, concurrency, ordered));
+  }
+
+  /**
+   * Produces a new iterator where each member is transformed by a function executed in a pool of
+   * worker threads, for CPU-bound work which would otherwise block the main thread. The function
+   * is given as the path of a module exporting it, resolved from the current working directory,
+   * optionally followed by `#` and the name of the export, since functions cannot be sent to
+   * workers. Members and results must be supported by the structured clone algorithm. Each worker
+   * processes one member at a time. If a worker stops unexpectedly, its member produces a
+   * `WorkerError` and the worker is replaced. The pool is shut down when the iterator finishes or
+   * is closed.
+   * @param {string} moduleOrFnPath the path of the module exporting the function
+   * @param {object} options the pool options
+   * @param {number} options.workers the number of worker threads, one per CPU by default
+   * @param {boolean} options.ordered whether results should be yielded in source order
+   */
+  parallelMap(moduleOrFnPath, { workers = defaultWorkers(), ordered = true } = {}) {
+    checkInteger(workers, 1, 'number of workers');
+    const fn = resolveFunction(moduleOrFnPath);
+    return asyncIterator(parallelMap(this.iter, fn, workers, ordered));
+  }
+
   /**
    * Produces a new iterator where the specified function is executed on each member of the
    * iterator, transforming each member into an iterator that is then flattened.
@@ -180,22 +288,16 @@ class AsyncIterator {
    * @param {function} reducer the specified reducer function
    */
   async fold(init, reducer) {
-    let val = init;
-    for await (const x of this.iter) {
-      val = reducer(val, x);
-    }
-    return val;
+    return fold(consumed(this), init, reducer);
   }
 
   /**
-   * Collects all members of the iterator into a list. This is a terminal operation.
+   * Collects all members of the iterator into a list, or, if a collector is specified, into the
+   * result produced by that collector. This is a terminal operation.
+   * @param {object} collector the collector to use
    */
-  async collect() {
-    const collected = [];
-    for await (const x of this.iter) {
-      collected.push(x);
-    }
-    return collected;
+  async collect(collector) {
+    return collect(consumed(this), collector);
   }
 
   /**
@@ -204,9 +306,7 @@ class AsyncIterator {
    * @param {function} f the function to execute on each member
    */
   async forEach(f) {
-    for await (const x of this.iter) {
-      f(x);
-    }
+    await forEach(consumed(this), f);
   }
 
   /**
@@ -217,11 +317,80 @@ class AsyncIterator {
   }
 
   /**
-   * Produces the sum of the elements in this iterator. This method should only be used on
-   * iterators of numbers. This is a terminal operation.
+   * Produces the sum of the elements in this iterator, using compensated summation to limit
+   * rounding errors. This method should only be used on iterators of numbers or BigInts. This is a
+   * terminal operation.
    */
   async sum() {
-    return await this.fold(0, (sum, x) => sum + x);
+    return this.collect(summing());
+  }
+
+  /**
+   * Produces the product of the elements in this iterator, or `1` if it yields nothing. This
+   * method should only be used on iterators of numbers or BigInts. This is a terminal operation.
+   */
+  async product() {
+    return this.collect(multiplying());
+  }
+
+  /**
+   * Produces the mean of the elements in this iterator, or `undefined` if it yields nothing. The
+   * mean of BigInts is truncated towards zero. This method should only be used on iterators of
+   * numbers or BigInts. This is a terminal operation.
+   */
+  async average() {
+    return this.collect(averaging());
+  }
+
+  /**
+   * Produces an object containing the `count`, `mean`, population `variance`, `min` and `max` of
+   * the elements in this iterator, computed in a single pass. This method should only be used on
+   * iterators of numbers or BigInts. This is a terminal operation.
+   */
+  async stats() {
+    return this.collect(statistics());
+  }
+
+  /**
+   * Produces the smallest element of this iterator according to the specified comparator, or
+   * `undefined` if it yields nothing. If several elements are equally small, the first is
+   * produced. This is a terminal operation.
+   * @param {function} cmp the comparator, which orders elements using `<` by default
+   */
+  async min(cmp = compare) {
+    return extreme(consumed(this), identity, cmp, 1);
+  }
+
+  /**
+   * Produces the largest element of this iterator according to the specified comparator, or
+   * `undefined` if it yields nothing. If several elements are equally large, the first is
+   * produced. This is a terminal operation.
+   * @param {function} cmp the comparator, which orders elements using `<` by default
+   */
+  async max(cmp = compare) {
+    return extreme(consumed(this), identity, cmp, -1);
+  }
+
+  /**
+   * Produces the element of this iterator with the smallest key, as produced by the specified
+   * function, or `undefined` if it yields nothing. If several elements share the smallest key, the
+   * first is produced. This is a terminal operation.
+   * @param {function} keyFn the function producing the key of each element
+   * @param {function} cmp the comparator for keys, which orders them using `<` by default
+   */
+  async minBy(keyFn, cmp = compare) {
+    return extreme(consumed(this), keyFn, cmp, 1);
+  }
+
+  /**
+   * Produces the element of this iterator with the largest key, as produced by the specified
+   * function, or `undefined` if it yields nothing. If several elements share the largest key, the
+   * first is produced. This is a terminal operation.
+   * @param {function} keyFn the function producing the key of each element
+   * @param {function} cmp the comparator for keys, which orders them using `<` by default
+   */
+  async maxBy(keyFn, cmp = compare) {
+    return extreme(consumed(this), keyFn, cmp, -1);
   }
 
   /**
@@ -242,7 +411,7 @@ class AsyncIterator {
     if (n < 0) {
       return undefined;
     } else {
-      return await this.skip(n).take(1).collect()[0];
+      return (await this.skip(n).take(1).collect())[0];
     }
   }
 
@@ -259,12 +428,7 @@ class AsyncIterator {
    * @param {function} predicate the predicate
    */
   async any(predicate) {
-    for await (const x of this.iter) {
-      if (predicate(x)) {
-        return true;
-      }
-    }
-    return false;
+    return any(consumed(this), predicate);
   }
 
   /**
@@ -273,12 +437,7 @@ class AsyncIterator {
    * @param {function} predicate the predicate
    */
   async all(predicate) {
-    for await (const x of this.iter) {
-      if (!predicate(x)) {
-        return false;
-      }
-    }
-    return true;
+    return all(consumed(this), predicate);
   }
 
   /**
@@ -287,11 +446,7 @@ class AsyncIterator {
    * @param {iterator} iter the other iterator
    */
   zip(iter) {
-    if (iter instanceof AsyncIterator) {
-      return asyncIterator(zip(this.iter, iter.iter));
-    } else {
-      return asyncIterator(zip(this.iter, iter));
-    }
+    return asyncIterator(zip(this.iter, asyncIterator(iter)));
   }
 
   /**
@@ -308,7 +463,7 @@ class AsyncIterator {
    * Produces the iterator wrapped by this iterator.
    */
   iterator() {
-    return this.iter;
+    return consumed(this);
   }
 
   /**
@@ -316,10 +471,7 @@ class AsyncIterator {
    * terminal operation.
    */
   async first() {
-    for await (const x of this.iter) {
-      return x;
-    }
-    return undefined;
+    return first(consumed(this));
   }
 
   /**
@@ -339,19 +491,808 @@ class AsyncIterator {
     return asyncIterator(enumerate(this.iter));
   }
 
+  /**
+   * Produces a new iterator which yields lists of `n` consecutive members of this iterator. The
+   * final list contains the remaining members, and may be shorter than `n`.
+   * @param {number} n the number of members in each list
+   */
+  chunk(n) {
+    checkInteger(n, 1, 'chunk size');
+    return asyncIterator(chunk(this.iter, n));
+  }
+
+  /**
+   * Produces a new iterator which yields lists of `size` consecutive members of this iterator,
+   * starting a new list every `step` members. Windows overlap if `step` is less than `size`, and
+   * members are skipped if it is greater. Only complete windows are yielded, and no more than
+   * `size` members are held at once.
+   * @param {number} size the number of members in each window
+   * @param {number} step the number of members between the starts of consecutive windows
+   */
+  windows(size, step = 1) {
+    checkInteger(size, 1, 'window size');
+    checkInteger(step, 1, 'window step');
+    return asyncIterator(windows(this.iter, size, step));
+  }
+
+  /**
+   * Produces a new iterator which yields lists of consecutive members of this iterator that share
+   * the same key, as produced by the specified function.
+   * @param {function} keyFn the function producing the key of each member
+   */
+  chunkBy(keyFn) {
+    return asyncIterator(chunkBy(this.iter, keyFn));
+  }
+
+  /**
+   * Produces a new iterator which yields members of this iterator for as long as they satisfy the
+   * specified predicate, terminating at the first member which does not.
+   * @param {function} predicate the predicate
+   */
+  takeWhile(predicate) {
+    return asyncIterator(takeWhile(this.iter, predicate));
+  }
+
+  /**
+   * Produces a new iterator which skips members of this iterator for as long as they satisfy the
+   * specified predicate, and then yields every remaining member.
+   * @param {function} predicate the predicate
+   */
+  skipWhile(predicate) {
+    return asyncIterator(skipWhile(this.iter, predicate));
+  }
+
+  /**
+   * Produces a new iterator which yields the result of executing the specified function on each
+   * member of this iterator, terminating as soon as the function produces `undefined`.
+   * @param {function} f the function to execute on each member
+   */
+  mapWhile(f) {
+    return asyncIterator(mapWhile(this.iter, f));
+  }
+
+  /**
+   * Produces a new iterator which yields the running state of a fold across this iterator. Each
+   * state is produced by executing the specified function on the previous state, starting from
+   * `init`, and the next member.
+   * @param {any} init the initial state
+   * @param {function} f the function producing the next state
+   */
+  scan(init, f) {
+    return asyncIterator(scan(this.iter, init, f));
+  }
+
+  /**
+   * Produces a new iterator which yields the first member of this iterator and then every `n`th
+   * member after it.
+   * @param {number} n the step between yielded members
+   */
+  stepBy(n) {
+    checkInteger(n, 1, 'step');
+    return asyncIterator(stepBy(this.iter, n));
+  }
+
+  /**
+   * Produces a new iterator which yields the members of this iterator followed by the members of
+   * each of the specified iterators in turn.
+   * @param {...iterator} others the iterators to yield from once this iterator is exhausted
+   */
+  chain(...others) {
+    return asyncIterator(chain([this.iter, ...others]));
+  }
+
+  /**
+   * Produces a new iterator which, once this iterator has reported that it is exhausted, always
+   * reports that it is exhausted, even if this iterator would go on to yield more members.
+   */
+  fuse() {
+    return asyncIterator(fuse(this.iter));
+  }
+
+  /**
+   * Produces a new iterator which yields only the first member of this iterator with each key,
+   * remembering every key it has seen. By default, members are their own keys.
+   * @param {function} keyFn the function producing the key of each member
+   */
+  unique(keyFn = identity) {
+    return asyncIterator(unique(this.iter, keyFn));
+  }
+
+  /**
+   * Produces a new iterator which drops each member whose key is the same as the key of the
+   * member before it. By default, members are their own keys.
+   * @param {function} keyFn the function producing the key of each member
+   */
+  dedupe(keyFn = identity) {
+    return asyncIterator(dedupe(this.iter, keyFn));
+  }
+
+  /**
+   * Produces a new iterator which merges this iterator and the specified iterators, each of which
+   * must already be sorted, into a single sorted iterator. Members which compare equal are yielded
+   * in the order of their iterators. The comparator may be given as the last argument.
+   * @param {...iterator} others the other sorted iterators, optionally followed by a comparator
+   */
+  mergeSorted(...others) {
+    const [sources, cmp] = splitComparator(others);
+    return asyncIterator(mergeSorted([this.iter, ...sources], cmp));
+  }
+
+  /**
+   * Produces a new sorted iterator which yields each member found in this iterator or any of the
+   * specified sorted iterators once. The comparator may be given as the last argument.
+   * @param {...iterator} others the other sorted iterators, optionally followed by a comparator
+   */
+  unionSorted(...others) {
+    const [sources, cmp] = splitComparator(others);
+    return asyncIterator(unionSorted([this.iter, ...sources], cmp));
+  }
+
+  /**
+   * Produces a new sorted iterator which yields each member found in this iterator and in every
+   * one of the specified sorted iterators once. The comparator may be given as the last argument.
+   * @param {...iterator} others the other sorted iterators, optionally followed by a comparator
+   */
+  intersectSorted(...others) {
+    const [sources, cmp] = splitComparator(others);
+    return asyncIterator(intersectSorted([this.iter, ...sources], cmp));
+  }
+
+  /**
+   * Produces a new sorted iterator which yields each member of this iterator found in none of the
+   * specified sorted iterators once. The comparator may be given as the last argument.
+   * @param {...iterator} others the other sorted iterators, optionally followed by a comparator
+   */
+  differenceSorted(...others) {
+    const [sources, cmp] = splitComparator(others);
+    return asyncIterator(differenceSorted(this.iter, sources, cmp));
+  }
+
+  /**
+   * Produces a new iterator which yields the members of this iterator in sorted order. Members
+   * which compare equal keep their relative order. Nothing is pulled until the first member is
+   * requested; the members are then heapified, so yielding the first few is faster than sorting
+   * them all. When a memory budget is given, sorted runs of that many members are spilled to
+   * temporary files, which are merged as the sorted members are yielded and removed once the
+   * iterator finishes or is closed.
+   * @param {function} cmp the comparator, which orders members using `<` by default
+   * @param {object} options the options for sorting in external memory
+   * @param {number} options.budget the largest number of members to hold in memory
+   * @param {function} options.serialize the function converting each spilled member to a single
+   * line of text, which uses `JSON.stringify` by default, writing `undefined` as an empty line.
+   * Members must survive the round trip through `serialize` and `deserialize`, so members such as
+   * dates, or arrays holding `undefined`, which JSON turns into `null`, need their own pair of
+   * functions.
+   * @param {function} options.deserialize the function converting each line back into a member,
+   * which uses `JSON.parse` by default
+   * @param {string} options.tmpdir the directory in which to spill runs, which is the temporary
+   * directory of the operating system by default
+   */
+  sorted(cmp = compare, options = {}) {
+    return asyncIterator(sorted(this.iter, identity, cmp, checkSortOptions(options)));
+  }
+
+  /**
+   * Produces a new iterator which yields the members of this iterator sorted by their keys, as
+   * produced by the specified function, which is called once per member. Otherwise it behaves
+   * like `sorted`, except that `serialize` and `deserialize` convert entries, objects holding a
+   * member as `value` and its key as `key`, since each key is spilled along with its member.
+   * @param {function} keyFn the function producing the key of each member
+   * @param {function} cmp the comparator for keys, which orders them using `<` by default
+   * @param {object} options the options for sorting in external memory, as for `sorted`
+   */
+  sortBy(keyFn, cmp = compare, options = {}) {
+    return asyncIterator(sorted(this.iter, keyFn, cmp, checkSortOptions(options)));
+  }
+
+  /**
+   * Produces a new iterator which yields the `k` largest members of this iterator, from largest to
+   * smallest, holding no more than `k` members in memory. Of members which compare equal, the
+   * earliest are preferred and yielded first.
+   * @param {number} k the number of members
+   * @param {function} cmp the comparator, which orders members using `<` by default
+   */
+  topK(k, cmp = compare) {
+    checkInteger(k, 0, 'number of members');
+    return asyncIterator(extremes(this.iter, k, cmp, -1));
+  }
+
+  /**
+   * Produces a new iterator which yields the `k` smallest members of this iterator, from smallest
+   * to largest, holding no more than `k` members in memory. Of members which compare equal, the
+   * earliest are preferred and yielded first.
+   * @param {number} k the number of members
+   * @param {function} cmp the comparator, which orders members using `<` by default
+   */
+  bottomK(k, cmp = compare) {
+    checkInteger(k, 0, 'number of members');
+    return asyncIterator(extremes(this.iter, k, cmp, 1));
+  }
+
+  /**
+   * Produces a new iterator which merges the sorted iterables, synchronous or asynchronous, yielded
+   * by this iterator into a single sorted iterator, using a heap so that each member costs time
+   * logarithmic in the number of runs. Members which compare equal are yielded in the order of
+   * their runs. Every run is pulled from this iterator before the first member is yielded.
+   * @param {function} cmp the comparator, which orders members using `<` by default
+   */
+  kWayMerge(cmp = compare) {
+    return asyncIterator(kWayMerge(this.iter, cmp));
+  }
+
+  /**
+   * Produces a new iterator which yields the members of this iterator until it throws an error, at
+   * which point the error is passed to the specified handler and the iterator continues with the
+   * members of the fallback iterator the handler produces. Errors thrown by the handler or by the
+   * fallback iterator are not caught.
+   * @param {function} handler the function producing a fallback iterator from an error, which may
+   * be async
+   */
+  catchError(handler) {
+    return asyncIterator(catchError(this.iter, handler));
+  }
+
+  /**
+   * Produces a new iterator which calls the specified function with any error thrown by this
+   * iterator before rethrowing it.
+   * @param {function} f the function to call with each error
+   */
+  onError(f) {
+    return asyncIterator(onError(this.iter, f));
+  }
+
+  /**
+   * Produces a new iterator which maps the specified function over this iterator, yielding
+   * `{ ok: true, value }` for each member it maps successfully and `{ ok: false, error }` for each
+   * member it throws on. Errors thrown by this iterator itself are not caught.
+   * @param {function} f the transforming function
+   */
+  tryMap(f) {
+    return asyncIterator(tryMap(this.iter, f));
+  }
+
+  /**
+   * Produces a new iterator which passes the members of this iterator through unmodified, calling
+   * the specified logger with the label and each event: `'yield'` with each member, `'error'` with
+   * any error thrown, `'done'` once this iterator is exhausted and `'return'` if it is closed
+   * early.
+   * @param {string} label the label identifying this point in the chain
+   * @param {function} logger the function called with each event, `console.log` by default
+   */
+  trace(label, logger = console.log) {
+    return asyncIterator(trace(this.iter, label, logger));
+  }
+
+  /**
+   * Produces a description of the chain of adapters which produced this iterator, such as
+   * `source → filter → map → take(10)`. Arguments are shown only if they are all primitives.
+   */
+  describe() {
+    const { stages } = stagesOf(this);
+    return ['source', ...stages.map(formatStage)].join(' → ');
+  }
+
+  /**
+   * Produces a new iterator equivalent to this iterator, which records the number of members
+   * entering and leaving each stage of the chain that produced it, the time spent in the callbacks
+   * passed to each stage in milliseconds, including the time taken for returned promises to
+   * settle, and the number of errors each stage threw. The chain is rebuilt from its source, so
+   * this iterator should not already have been consumed. Once the new iterator is exhausted,
+   * throws or is closed, the specified function is called with a list of records of the form
+   * `{ stage, elementsIn, elementsOut, callbackTime, errors }`, starting with the source. The new
+   * iterator is described by the same chain as this iterator.
+   * @param {function} report the function called with the records
+   */
+  instrument(report) {
+    const { root, stages } = stagesOf(this);
+    const state = { lastError: undefined };
+    const records = [stageRecord('source')];
+    let instrumented = asyncIterator(probe(root.iter, records[0], state));
+    stages.forEach((stage) => {
+      const record = stageRecord(formatStage(stage));
+      const args = stage.args.map((arg) => (typeof arg === 'function' ? timed(arg, record) : arg));
+      instrumented = asyncIterator(probe(instrumented[stage.name](...args), record, state));
+      records.push(record);
+    });
+    const result = instrumented.onFinally(() => {
+      records.forEach((record, i) => {
+        record.elementsIn = i === 0 ? record.elementsOut : records[i - 1].elementsOut;
+      });
+      report(records);
+    });
+    result.origin = this.origin;
+    this.signals.forEach((signal) => observe(result, signal));
+    return result;
+  }
+
+  /**
+   * Produces a new iterator which waits `ms` milliseconds before yielding each member of this
+   * iterator.
+   * @param {number} ms the number of milliseconds to wait
+   * @param {object} options the timing options
+   * @param {object} options.scheduler the scheduler used to measure time
+   */
+  delay(ms, { scheduler = defaultScheduler } = {}) {
+    return asyncIterator(delay(this.iter, ms, scheduler));
+  }
+
+  /**
+   * Produces a new iterator which yields a member of this iterator only if at least `ms`
+   * milliseconds have passed since the last yielded member. Other members are dropped.
+   * @param {number} ms the minimum number of milliseconds between members
+   * @param {object} options the timing options
+   * @param {object} options.scheduler the scheduler used to measure time
+   */
+  throttle(ms, { scheduler = defaultScheduler } = {}) {
+    return asyncIterator(throttle(this.iter, ms, scheduler));
+  }
+
+  /**
+   * Produces a new iterator which yields a member of this iterator only once `ms` milliseconds have
+   * passed without another member being produced. The final member is always yielded.
+   * @param {number} ms the number of milliseconds of quiet required
+   * @param {object} options the timing options
+   * @param {object} options.scheduler the scheduler used to measure time
+   */
+  debounce(ms, { scheduler = defaultScheduler } = {}) {
+    return asyncIterator(debounce(this.iter, ms, scheduler));
+  }
+
+  /**
+   * Produces a new iterator which yields lists of the members of this iterator, collected over
+   * windows of `ms` milliseconds starting from the first member of each list. A list is yielded
+   * early if it reaches `maxSize` members. Empty lists are never yielded.
+   * @param {number} ms the length of each window in milliseconds
+   * @param {number} maxSize the maximum number of members in each list
+   * @param {object} options the timing options
+   * @param {object} options.scheduler the scheduler used to measure time
+   */
+  bufferTime(ms, maxSize = Infinity, { scheduler = defaultScheduler } = {}) {
+    return asyncIterator(bufferTime(this.iter, ms, maxSize, scheduler));
+  }
+
+  /**
+   * Produces a new iterator which pulls up to `n` members of this iterator ahead of its consumer in
+   * the background. When the buffer is full, the `overflow` policy decides what happens: `'block'`
+   * stops pulling until the consumer has drained the buffer down to the low-water mark,
+   * `'dropOldest'` and `'dropNewest'` keep pulling and discard the oldest buffered member or the
+   * newly pulled member respectively, and `'error'` throws an error once the consumer reaches the
+   * point of overflow. Errors thrown by this iterator are likewise thrown only once the consumer
+   * has received the members before them. Closing the new iterator stops pulling and closes this
+   * iterator.
+   * @param {number} n the capacity of the buffer, which is its high-water mark
+   * @param {object} options the buffering options
+   * @param {number} options.lowWaterMark the number of buffered members at or below which pulling
+   * resumes under the `'block'` policy, `n - 1` by default
+   * @param {string} options.overflow the overflow policy, `'block'` by default
+   */
+  buffer(n, { lowWaterMark = n - 1, overflow = 'block' } = {}) {
+    checkBufferOptions(n, lowWaterMark, overflow);
+    return asyncIterator(buffer(this.iter, n, lowWaterMark, overflow));
+  }
+
+  /**
+   * Produces a new iterator which pulls up to `n` members of this iterator ahead of its consumer.
+   * This is equivalent to `buffer(n, options)`.
+   * @param {number} n the capacity of the buffer
+   * @param {object} options the buffering options, as for `buffer`
+   */
+  prefetch(n, options) {
+    return this.buffer(n, options);
+  }
+
+  /**
+   * Produces a new iterator which throws a `TimeoutError` if this iterator takes longer than `ms`
+   * milliseconds to produce any member.
+   * @param {number} ms the number of milliseconds to wait for each member
+   * @param {object} options the timing options
+   * @param {object} options.scheduler the scheduler used to measure time
+   */
+  timeout(ms, { scheduler = defaultScheduler } = {}) {
+    return asyncIterator(timeout(this.iter, ms, scheduler));
+  }
+
+  /**
+   * Produces a `Readable` stream which yields the members of this iterator. The iterator is only
+   * advanced as the stream is read, and destroying the stream closes the iterator.
+   * @param {object} options the stream options
+   * @param {boolean} options.objectMode whether the stream is in object mode
+   * @param {number} options.highWaterMark the number of members, or bytes if not in object mode,
+   * to buffer before pausing the iterator
+   */
+  toReadable({ objectMode = true, highWaterMark } = {}) {
+    const options = { objectMode };
+    if (highWaterMark !== undefined) {
+      options.highWaterMark = highWaterMark;
+    }
+    return Readable.from(consumed(this), options);
+  }
+
+  /**
+   * Writes each member of this iterator to the specified writable stream, waiting for it to drain
+   * whenever its buffer is full, and ends the stream once the iterator is exhausted. If either side
+   * fails, both the iterator and the stream are closed and the returned promise is rejected. This
+   * is a terminal operation.
+   * @param {Writable} writable the stream to write to
+   */
+  async pipeTo(writable) {
+    await pipelineAsync(this.toReadable(), writable);
+  }
+
+  /**
+   * Produces a list of `n` independent iterators which each yield every member of this iterator.
+   * Members are pulled from this iterator once and buffered only until every iterator has yielded
+   * them, so the buffer grows with the gap between the fastest and slowest iterators. If that gap
+   * would exceed `maxBuffer` members, an error is thrown instead. Concurrent pulls share a single
+   * pull from this iterator. This iterator should not be used once it has been split.
+   * @param {number} n the number of iterators to produce
+   * @param {object} options the buffering options
+   * @param {number} options.maxBuffer the maximum number of members to buffer
+   */
+  tee(n = 2, { maxBuffer = Infinity } = {}) {
+    checkInteger(n, 1, 'number of iterators');
+    return tee(consumed(this), n, maxBuffer).map((iter) => asyncIterator(iter));
+  }
+
+  /**
+   * Produces an `AsyncPeekableIterator` over the members of this iterator, which supports looking
+   * ahead at upcoming members without consuming them.
+   */
+  peekable() {
+    return new AsyncPeekableIterator(consumed(this));
+  }
+
   [Symbol.asyncIterator]() {
-    return this.iter;
+    return consumed(this)[Symbol.asyncIterator]();
   }
 }
 
+async function pull(state) {
+  if (state.done) {
+    return { done: true, value: undefined };
+  }
+  const result = await state.source.next();
+  if (result.done) {
+    state.done = true;
+  }
+  return result;
+}
+
+async function fill(state, k) {
+  while (state.buffer.length < k && !state.done) {
+    const result = await pull(state);
+    if (!result.done) {
+      state.buffer.push(result.value);
+    }
+  }
+}
+
+// Runs the specified function once every previously queued function has settled, so that
+// concurrent calls cannot pull from the source out of order
+function enqueue(state, f) {
+  const run = state.queue.then(f);
+  state.queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * @constructor produces an `AsyncIterator` which can look ahead at the members of the wrapped
+ * iterator without consuming them. Members which have been looked at are buffered until they are
+ * consumed, either explicitly or by any other operation on the iterator.
+ * @param {asyncIterator} iter the wrapped iterator
+ */
+class AsyncPeekableIterator extends AsyncIterator {
+  constructor(iter) {
+    const state = {
+      source: asyncIterator(iter)[Symbol.asyncIterator](),
+      buffer: [],
+      done: false,
+      queue: Promise.resolve()
+    };
+    super({
+      next: () =>
+        enqueue(state, () => {
+          if (state.buffer.length > 0) {
+            return { done: false, value: state.buffer.shift() };
+          }
+          return pull(state);
+        }),
+      return: (value) =>
+        enqueue(state, async () => {
+          state.buffer = [];
+          if (!state.done) {
+            state.done = true;
+            await closeSource(state.source);
+          }
+          return { done: true, value };
+        }),
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    });
+    this.state = state;
+  }
+
+  /**
+   * Produces the next member of the iterator without consuming it, or `undefined` if the iterator
+   * is exhausted.
+   */
+  peek() {
+    return enqueue(this.state, async () => {
+      await fill(this.state, 1);
+      return this.state.buffer[0];
+    });
+  }
+
+  /**
+   * Produces a list of the next `k` members of the iterator without consuming them. The list is
+   * shorter than `k` if the iterator is exhausted first.
+   * @param {number} k the number of members to look at
+   */
+  peekN(k) {
+    return enqueue(this.state, async () => {
+      await fill(this.state, k);
+      return this.state.buffer.slice(0, k);
+    });
+  }
+
+  /**
+   * Consumes the next member of the iterator, producing an iterator result of the form
+   * `{ done, value }`.
+   */
+  next() {
+    return this.iter.next();
+  }
+
+  /**
+   * Consumes and produces the next member of the iterator if it satisfies the specified predicate.
+   * Otherwise, nothing is consumed and `undefined` is produced.
+   * @param {function} predicate the predicate
+   */
+  nextIf(predicate) {
+    return enqueue(this.state, async () => {
+      await fill(this.state, 1);
+      if (this.state.buffer.length > 0 && (await predicate(this.state.buffer[0]))) {
+        return this.state.buffer.shift();
+      }
+      return undefined;
+    });
+  }
+
+  /**
+   * Consumes members of the iterator for as long as they satisfy the specified predicate,
+   * producing a list of the consumed members. The first member which does not satisfy the
+   * predicate is not consumed.
+   * @param {function} predicate the predicate
+   */
+  nextWhile(predicate) {
+    return enqueue(this.state, async () => {
+      const taken = [];
+      while (true) {
+        await fill(this.state, 1);
+        if (this.state.buffer.length === 0 || !(await predicate(this.state.buffer[0]))) {
+          return taken;
+        }
+        taken.push(this.state.buffer.shift());
+      }
+    });
+  }
+
+  /**
+   * Produces this iterator, which is already peekable.
+   */
+  peekable() {
+    return this;
+  }
+}
+
+// Records the method which produced each iterator, along with its arguments and the iterator it
+// was called on, so that `describe` and `instrument` can reconstruct the chain.
+function recordOrigin(name, method) {
+  return function origin(...args) {
+    const result = method.apply(this, args);
+    if (result instanceof AsyncIterator && result !== this) {
+      result.origin = { name, args, parent: this };
+      // An iterator which is already consumed stops its own pulls when aborted
+      if (!this.guarded) {
+        this.signals.forEach((signal) => observe(result, signal));
+      }
+    }
+    return result;
+  };
+}
+
+Object.getOwnPropertyNames(AsyncIterator.prototype)
+  .filter((name) => !['constructor', 'iterator', 'instrument'].includes(name))
+  .forEach((name) => {
+    AsyncIterator.prototype[name] = recordOrigin(name, AsyncIterator.prototype[name]);
+  });
+
 /**
  * Produces an `AsyncIterator` wrapping the specified asynchronous iterator. The asynchronous
  * iterator interface is identical to that of synchronous iterators, however all terminal
- * operations are `async`.
+ * operations are `async`, and any callback passed to an operation may return a promise, which is
+ * awaited before its result is used. Synchronous iterables and array-likes are also accepted, in
+ * which case any promises they yield are awaited.
  * @param {asyncIterator} iter the asynchronous iterator to wrap
+ * @param {object} options the iterator options
+ * @param {AbortSignal} options.signal a signal which, when aborted, stops the iterator and every
+ * iterator derived from it, and closes the wrapped iterator
  */
-function asyncIterator(iter) {
-  return new AsyncIterator(iter);
+function asyncIterator(iter, options) {
+  return new AsyncIterator(iter, options);
 }
 
+/**
+ * Produces an infinite `AsyncIterator` which yields the result of executing the specified
+ * function each time a member is requested.
+ * @param {function} f the function producing each member
+ */
+asyncIterator.repeatWith = (f) =>
+  asyncIterator(
+    (async function* repeatWith() {
+      while (true) {
+        yield await f();
+      }
+    })()
+  );
+
+/**
+ * Produces an infinite `AsyncIterator` which yields `seed`, then the result of executing the
+ * specified function on it, then the result of executing the function on that, and so on.
+ * @param {any} seed the first member
+ * @param {function} f the function producing each member from the previous one
+ */
+asyncIterator.iterate = (seed, f) =>
+  asyncIterator(
+    (async function* iterate() {
+      let x = await seed;
+      while (true) {
+        yield x;
+        x = await f(x);
+      }
+    })()
+  );
+
+/**
+ * Produces an `AsyncIterator` which yields `first`, then the result of executing the specified
+ * function on it, and so on, terminating as soon as `undefined` is produced.
+ * @param {any} first the first member
+ * @param {function} f the function producing each member from the previous one
+ */
+asyncIterator.successors = (first, f) =>
+  asyncIterator(
+    (async function* successors() {
+      for (let x = await first; x !== undefined; x = await f(x)) {
+        yield x;
+      }
+    })()
+  );
+
+/**
+ * Produces an `AsyncIterator` by repeatedly executing the specified function on a state, starting
+ * with `seed`. The function produces a pair of the member to yield and the next state, or
+ * `undefined` to terminate the iterator. This is useful for paginated sources, where the state is
+ * the cursor of the next page.
+ * @param {any} seed the initial state
+ * @param {function} f the function producing each member and the next state
+ */
+asyncIterator.unfold = (seed, f) =>
+  asyncIterator(
+    (async function* unfold() {
+      let state = seed;
+      while (true) {
+        const next = await f(state);
+        if (next === undefined) {
+          return;
+        }
+        const [x, nextState] = next;
+        yield x;
+        state = nextState;
+      }
+    })()
+  );
+
+/**
+ * Produces an `AsyncIterator` yielding the members of all of the specified iterators in the order
+ * in which they are produced. It terminates once every iterator is exhausted, and closes the
+ * remaining iterators if it is stopped early or any of them throws.
+ * @param {...asyncIterator} sources the iterators to merge
+ */
+asyncIterator.merge = (...sources) => asyncIterator(merge(sources.map(sourceOf)));
+
+/**
+ * Produces an `AsyncIterator` yielding a list of the latest member of each of the specified
+ * iterators whenever any of them produces a member, once all of them have produced at least one.
+ * It terminates once every iterator is exhausted.
+ * @param {...asyncIterator} sources the iterators to combine
+ */
+asyncIterator.combineLatest = (...sources) =>
+  asyncIterator(combineLatest(sources.map(sourceOf)));
+
+/**
+ * Produces an `AsyncIterator` yielding the members of whichever of the specified iterators is the
+ * first to produce a result. The other iterators are closed as soon as the winner is known.
+ * @param {...asyncIterator} sources the iterators to race
+ */
+asyncIterator.race = (...sources) => asyncIterator(race(sources.map(sourceOf)));
+
+/**
+ * Produces an `AsyncIterator` yielding the members of the iterator created by the specified
+ * factory. If that iterator throws an error, the factory is called again after a delay and
+ * iteration continues from the start of the new iterator, until `attempts` iterators have been
+ * created, after which the error is thrown. The delay starts at `backoff` milliseconds and doubles
+ * after each failure. The factory is passed the number of the attempt, starting at 1, and may be
+ * async.
+ * @param {function} factory the function creating each iterator
+ * @param {object} options the retry options
+ * @param {number} options.attempts the maximum number of iterators to create
+ * @param {number} options.backoff the number of milliseconds to wait before the first retry
+ * @param {object} options.scheduler the scheduler used to measure time
+ */
+asyncIterator.retry = (
+  factory,
+  { attempts = 3, backoff = 0, scheduler = defaultScheduler } = {}
+) => {
+  checkInteger(attempts, 1, 'number of attempts');
+  return asyncIterator(retry(factory, attempts, backoff, scheduler));
+};
+
+/**
+ * Produces an `AsyncIterator` yielding the chunks read from the specified readable stream. Errors
+ * emitted by the stream are thrown from the iterator, and the stream is destroyed if iteration
+ * stops early.
+ * @param {Readable} readable the stream to read from
+ */
+asyncIterator.fromStream = (readable) => {
+  if (!isReadable(readable)) {
+    throw new Error(`${readable} is not a readable stream`);
+  }
+  return asyncIterator(readable[Symbol.asyncIterator]());
+};
+
+/**
+ * Produces an `AsyncIterator` over the specified iterable, or the iterable itself if it is already
+ * an `AsyncIterator`, so that adapters applied to it continue the same chain.
+ * @param {asyncIterator} iter the asynchronous or synchronous iterable
+ */
+asyncIterator.from = (iter) => (iter instanceof AsyncIterator ? iter : asyncIterator(iter));
+
+function wrapExtension(result) {
+  if (result instanceof AsyncIterator) {
+    return result;
+  }
+  const isIteratorObject = result != null && typeof result.next === 'function';
+  if (isIteratorObject && (isAsyncIterator(result) || isIterator(result))) {
+    return asyncIterator(result);
+  }
+  return result;
+}
+
+/**
+ * Adds the specified functions to every `AsyncIterator` as methods. Each function is passed the
+ * iterator it is called on, followed by the arguments of the call. If it produces an iterator
+ * object, such as an async generator, that object is wrapped in an `AsyncIterator`, so the
+ * function acts as an adapter; any other result, including a promise, is produced as is, so the
+ * function acts as a terminal operation. Existing methods may not be replaced.
+ * @param {object} methods the functions to add, keyed by method name
+ */
+asyncIterator.extend = (methods) => {
+  const names = Object.keys(methods);
+  names.forEach((name) => {
+    if (typeof methods[name] !== 'function') {
+      throw new Error(`${methods[name]} is not a function`);
+    }
+    if (name in AsyncPeekableIterator.prototype) {
+      throw new Error(`${name} is already a method of AsyncIterator`);
+    }
+  });
+  names.forEach((name) => {
+    const f = methods[name];
+    AsyncIterator.prototype[name] = recordOrigin(name, function extension(...args) {
+      return wrapExtension(f(this, ...args));
+    });
+  });
+};
+
 module.exports = asyncIterator;
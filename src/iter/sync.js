@@ -1,122 +1,295 @@
-function isIterator(obj) {
-  return obj != null && typeof obj[Symbol.iterator] === 'function';
+const asyncIterator = require('./async');
+const {
+  all,
+  any,
+  cartesianProduct,
+  catchError,
+  chain,
+  chunk,
+  chunkBy,
+  closeSource,
+  collect,
+  combinations,
+  combinationsWithReplacement,
+  dedupe,
+  differenceSorted,
+  enumerate,
+  extreme,
+  extremes,
+  filter,
+  first,
+  flatMap,
+  flatten,
+  fold,
+  forEach,
+  fuse,
+  intersectSorted,
+  intersperse,
+  isIndexable,
+  isIterator,
+  kWayMerge,
+  last,
+  loop,
+  map,
+  mapWhile,
+  mergeSorted,
+  onError,
+  onFinally,
+  permutations,
+  powerset,
+  scan,
+  skip,
+  skipWhile,
+  sorted,
+  stepBy,
+  take,
+  takeWhile,
+  tee,
+  trace,
+  tryMap,
+  unionSorted,
+  unique,
+  use,
+  windows,
+  zip
+} = require('../adapters/sync');
+const { checkInteger } = require('../checks');
+const { averaging, multiplying, statistics, summing } = require('../collectors');
+const { performance } = require('perf_hooks');
+const { compare, identity, splitComparator } = require('../compare');
+const { countError, formatStage, stageRecord, stagesOf } = require('../instrumentation');
+const { checkSortOptions } = require('../sort');
+
+// An indexed source describes an iterator whose members can be accessed by position. It is used
+// to answer questions such as `count` and `nth` in constant time without iterating.
+function indexedOf(arr) {
+  return { size: () => arr.length, get: (i) => arr[i] };
 }
 
-function* take(iter, n) {
-  let i = 0;
-  for (const x of iter) {
-    if (i < n) {
-      i++;
-      yield x;
-    } else {
-      break;
-    }
+function mapIndexed(indexed, f) {
+  if (indexed === undefined) {
+    return undefined;
   }
+  return { size: indexed.size, get: (i) => f(indexed.get(i), i) };
 }
 
-function* skip(iter, n) {
-  let i = 0;
-  for (const x of iter) {
-    i++;
-    if (i > n) {
-      yield x;
-    }
+// Produces the largest number of members `take(n)` yields. The generator yields a member before
+// comparing the count with `n`, so fractional counts round up.
+function takeCount(n) {
+  if (Number.isNaN(n)) {
+    return Infinity;
   }
+  return n > 0 ? Math.ceil(n) : 0;
 }
 
-function* map(iter, f) {
-  for (const x of iter) {
-    yield f(x);
+// Produces the largest number of members `skip(n)` skips. The generator skips members while their
+// position is no greater than `n`, so fractional counts round down.
+function skipCount(n) {
+  if (Number.isNaN(n)) {
+    return Infinity;
   }
+  return n > 0 ? Math.floor(n) : 0;
 }
 
-function* filter(iter, predicate) {
-  for (const x of iter) {
-    if (predicate(x)) {
-      yield x;
-    }
+function takeIndexed(indexed, n) {
+  if (indexed === undefined) {
+    return undefined;
   }
+  const count = takeCount(n);
+  return { size: () => Math.min(count, indexed.size()), get: indexed.get };
 }
 
-function* use(iter, f) {
-  for (const x of iter) {
-    f(x);
-    yield x;
+function skipIndexed(indexed, n) {
+  if (indexed === undefined) {
+    return undefined;
   }
+  const offset = skipCount(n);
+  return { size: () => Math.max(0, indexed.size() - offset), get: (i) => indexed.get(i + offset) };
 }
 
-function* flatten(iter) {
-  for (const x of iter) {
-    if (x instanceof Iterator) {
-      yield* x.iter;
-    } else {
-      yield* x;
-    }
+function stepIndexed(indexed, n) {
+  if (indexed === undefined) {
+    return undefined;
   }
+  return { size: () => Math.ceil(indexed.size() / n), get: (i) => indexed.get(i * n) };
 }
 
-function* loop(iter) {
-  const yielded = [];
-  for (const x of iter) {
-    yielded.push(x);
-    yield x;
+function zipIndexed(indexedA, indexedB) {
+  if (indexedA === undefined || indexedB === undefined) {
+    return undefined;
   }
-  while (true) {
-    yield* yielded;
+  return {
+    size: () => Math.min(indexedA.size(), indexedB.size()),
+    get: (i) => [indexedA.get(i), indexedB.get(i)]
+  };
+}
+
+function revIndexed(indexed) {
+  return { size: indexed.size, get: (i) => indexed.get(indexed.size() - 1 - i) };
+}
+
+function* fromIndexed(indexed) {
+  const n = indexed.size();
+  for (let i = 0; i < n; i++) {
+    yield indexed.get(i);
   }
 }
 
-function* flatMap(iter, f) {
+// Runs a chain of stateless adapters in a single generator, so that each member costs one
+// generator resumption rather than one per adapter. The stages are applied in order, and a member
+// which reaches the limit of a `take` stage ends the iteration once it has passed every stage,
+// just as the adapter generators would.
+function* fused(iter, stages) {
+  const counts = stages.map(() => 0);
   for (const x of iter) {
-    const innerIter = f(x);
-    if (innerIter instanceof Iterator) {
-      yield* innerIter.iter;
-    } else {
-      yield* innerIter;
+    let value = x;
+    let passed = true;
+    let exhausted = false;
+    for (let i = 0; i < stages.length && passed; i++) {
+      const stage = stages[i];
+      switch (stage.kind) {
+        case 'map':
+          value = stage.f(value);
+          break;
+        case 'filter':
+          passed = stage.f(value);
+          break;
+        case 'use':
+          stage.f(value);
+          break;
+        case 'take':
+          counts[i]++;
+          exhausted = exhausted || counts[i] >= stage.n;
+          break;
+        case 'skip':
+          counts[i]++;
+          passed = counts[i] > stage.n;
+          break;
+        default:
+          throw new Error(`${stage.kind} is not a fusable stage`);
+      }
+    }
+    if (passed) {
+      yield value;
+    }
+    if (exhausted) {
+      return;
     }
   }
 }
 
-function* zip(iterA, iterB) {
-  while (true) {
-    const a = iterA.next();
-    const b = iterB.next();
-    if (a !== undefined && b !== undefined) {
-      yield [a.value, b.value];
-    } else {
-      break;
+// Counts the members yielded by a stage, and the errors it throws
+function* probe(iter, record, state) {
+  try {
+    for (const x of iter) {
+      record.elementsOut++;
+      yield x;
     }
+  } catch (e) {
+    countError(record, state, e);
+    throw e;
   }
 }
 
-function* intersperse(iter, delim) {
-  let first = true;
-  for (const x of iter) {
-    if (!first) yield delim;
-    first = false;
-    yield x;
+function timed(f, record) {
+  return (...args) => {
+    const start = performance.now();
+    try {
+      return f(...args);
+    } finally {
+      record.callbackTime += performance.now() - start;
+    }
+  };
+}
+
+function fusable(parent, stage, iter, indexed) {
+  const fusedIterator = new Iterator(iter, indexed, [parent]);
+  fusedIterator.fusion = { parent, stage };
+  return fusedIterator;
+}
+
+// Marks the specified iterator as claimed, along with every iterator its wrapped iterator pulls
+// members from, since pulling from it may pull from them
+function claim(iter) {
+  if (!iter.claimed) {
+    iter.claimed = true;
+    iter.parents.forEach(claim);
   }
 }
 
-function* enumerate(iter) {
-  let n = 0;
-  for (const x of iter) {
-    yield [x, n];
-    n++;
+// Produces the members of the specified iterator for a terminal operation. Any unclaimed chain of
+// stateless adapters leading to it is run as a single fused generator over the source of the
+// chain. The adapter generators it replaces are closed, as they would have been consumed; since
+// reading one claims its iterator, they have never been started, so closing them leaves the source
+// of the chain open.
+function membersOf(iter) {
+  const stages = [];
+  let source = iter;
+  while (source.fusion !== undefined && !source.claimed) {
+    stages.push(source.fusion.stage);
+    source.claimed = true;
+    closeSource(source.wrapped);
+    source = source.fusion.parent;
   }
+  if (stages.length === 0) {
+    return iter.iter;
+  }
+  return fused(source.iter, stages.reverse());
+}
+
+// Produces the indexed source of the specified iterator for as long as it describes every member,
+// which is until members may have been pulled from the iterator or from one it pulls from
+function liveIndexed(iter) {
+  return iter.indexed !== undefined && unclaimed(iter) ? iter.indexed : undefined;
+}
+
+function unclaimed(iter) {
+  return !iter.claimed && iter.parents.every(unclaimed);
 }
 
 /**
  * @constructor produces an `Iterator` wrapping the specified iterator
  * @param {iterator} iter the wrapped iterator
+ * @param {object} indexed the indexed source equivalent to the wrapped iterator, if any
+ * @param {Array} parents the iterators whose wrapped iterators the wrapped iterator pulls from
  */
 class Iterator {
-  constructor(iter) {
+  constructor(iter, indexed, parents = []) {
     if (isIterator(iter)) {
-      this.iter = iter;
+      this.wrapped = iter;
     } else {
       throw new Error(`${iter} is not an iterator`);
     }
+    this.parents = parents;
+    this.claimed = false;
+    if (indexed !== undefined) {
+      this.indexed = indexed;
+    } else if (isIndexable(iter)) {
+      this.indexed = indexedOf(iter);
+    }
+  }
+
+  // Whoever reads the wrapped iterator may pull members from it, so reading it claims this
+  // iterator, which is then never replaced by a fused generator. Adapters which can be fused read
+  // `wrapped` instead.
+  get iter() {
+    claim(this);
+    return this.wrapped;
+  }
+
+  /**
+   * Produces bounds on the number of members in this iterator, as an object of the form
+   * `{ lower, upper }`, where `upper` is `undefined` if it is not known. The bounds are exact for
+   * iterators over arrays, typed arrays and ranges, and for iterators produced from them by
+   * adapters which preserve their length, such as `map`, `take`, `skip`, `zip` and `enumerate`.
+   */
+  sizeHint() {
+    const indexed = liveIndexed(this);
+    if (indexed === undefined) {
+      return { lower: 0, upper: undefined };
+    }
+    const n = indexed.size();
+    return { lower: n, upper: n };
   }
 
   /**
@@ -125,7 +298,16 @@ class Iterator {
    * @param {function} f the function to execute on each member
    */
   use(f) {
-    return iterator(use(this.iter, f));
+    return fusable(this, { kind: 'use', f }, use(this.wrapped, f));
+  }
+
+  /**
+   * Produces a new iterator which executes the specified function exactly once, as soon as this
+   * iterator is exhausted, throws, or is closed early by its consumer.
+   * @param {function} f the function to execute
+   */
+  onFinally(f) {
+    return iterator(onFinally(this.iter, f));
   }
 
   /**
@@ -133,7 +315,15 @@ class Iterator {
    * @param {number} n the number of members to yield
    */
   take(n) {
-    return iterator(take(this.iter, n));
+    if (n <= 0) {
+      return new Iterator(take(this.wrapped, n), takeIndexed(liveIndexed(this), n), [this]);
+    }
+    return fusable(
+      this,
+      { kind: 'take', n },
+      take(this.wrapped, n),
+      takeIndexed(liveIndexed(this), n)
+    );
   }
 
   /**
@@ -142,7 +332,12 @@ class Iterator {
    * @param {number} n the number of members to skip
    */
   skip(n) {
-    return iterator(skip(this.iter, n));
+    return fusable(
+      this,
+      { kind: 'skip', n },
+      skip(this.wrapped, n),
+      skipIndexed(liveIndexed(this), n)
+    );
   }
 
   /**
@@ -151,7 +346,12 @@ class Iterator {
    * @param {function} f the function to execute on each member
    */
   map(f) {
-    return iterator(map(this.iter, f));
+    return fusable(
+      this,
+      { kind: 'map', f },
+      map(this.wrapped, f),
+      mapIndexed(liveIndexed(this), (x) => f(x))
+    );
   }
 
   /**
@@ -169,7 +369,7 @@ class Iterator {
    * @param {func} predicate the predicate function
    */
   filter(predicate) {
-    return iterator(filter(this.iter, predicate));
+    return fusable(this, { kind: 'filter', f: predicate }, filter(this.wrapped, predicate));
   }
 
   /**
@@ -180,22 +380,19 @@ class Iterator {
    * @param {function} reducer the specified reducer function
    */
   fold(init, reducer) {
-    let val = init;
-    for (const x of this.iter) {
-      val = reducer(val, x);
-    }
-    return val;
+    return fold(membersOf(this), init, reducer);
   }
 
   /**
-   * Collects all members of the iterator into a list. This is a terminal operation.
+   * Collects all members of the iterator into a list, or, if a collector is specified, into the
+   * result produced by that collector. If the number of members is known in advance, the list is
+   * allocated at its final size. This is a terminal operation.
+   * @param {object} collector the collector to use
    */
-  collect() {
-    const collected = [];
-    for (const x of this.iter) {
-      collected.push(x);
-    }
-    return collected;
+  collect(collector) {
+    const indexed = liveIndexed(this);
+    const size = indexed === undefined ? Infinity : indexed.size();
+    return collect(membersOf(this), collector, size);
   }
 
   /**
@@ -204,24 +401,97 @@ class Iterator {
    * @param {function} f the function to execute on each member
    */
   forEach(f) {
-    for (const x of this.iter) {
-      f(x);
-    }
+    forEach(membersOf(this), f);
   }
 
   /**
-   * Produces the number of elements in this iterator. This is a terminal operation.
+   * Produces the number of elements in this iterator. If the number is known in advance, it is
+   * produced without iterating, and functions passed to adapters such as `map` are not executed.
+   * This is a terminal operation.
    */
   count() {
-    return this.map((_) => 1).sum();
+    const indexed = liveIndexed(this);
+    if (indexed !== undefined) {
+      return indexed.size();
+    }
+    return this.fold(0, (count) => count + 1);
   }
 
   /**
-   * Produces the sum of the elements in this iterator. This method should only be used on
-   * iterators of numbers. This is a terminal operation.
+   * Produces the sum of the elements in this iterator, using compensated summation to limit
+   * rounding errors. This method should only be used on iterators of numbers or BigInts. This is a
+   * terminal operation.
    */
   sum() {
-    return this.fold(0, (sum, x) => sum + x);
+    return this.collect(summing());
+  }
+
+  /**
+   * Produces the product of the elements in this iterator, or `1` if it yields nothing. This
+   * method should only be used on iterators of numbers or BigInts. This is a terminal operation.
+   */
+  product() {
+    return this.collect(multiplying());
+  }
+
+  /**
+   * Produces the mean of the elements in this iterator, or `undefined` if it yields nothing. The
+   * mean of BigInts is truncated towards zero. This method should only be used on iterators of
+   * numbers or BigInts. This is a terminal operation.
+   */
+  average() {
+    return this.collect(averaging());
+  }
+
+  /**
+   * Produces an object containing the `count`, `mean`, population `variance`, `min` and `max` of
+   * the elements in this iterator, computed in a single pass. This method should only be used on
+   * iterators of numbers or BigInts. This is a terminal operation.
+   */
+  stats() {
+    return this.collect(statistics());
+  }
+
+  /**
+   * Produces the smallest element of this iterator according to the specified comparator, or
+   * `undefined` if it yields nothing. If several elements are equally small, the first is
+   * produced. This is a terminal operation.
+   * @param {function} cmp the comparator, which orders elements using `<` by default
+   */
+  min(cmp = compare) {
+    return extreme(membersOf(this), identity, cmp, 1);
+  }
+
+  /**
+   * Produces the largest element of this iterator according to the specified comparator, or
+   * `undefined` if it yields nothing. If several elements are equally large, the first is
+   * produced. This is a terminal operation.
+   * @param {function} cmp the comparator, which orders elements using `<` by default
+   */
+  max(cmp = compare) {
+    return extreme(membersOf(this), identity, cmp, -1);
+  }
+
+  /**
+   * Produces the element of this iterator with the smallest key, as produced by the specified
+   * function, or `undefined` if it yields nothing. If several elements share the smallest key, the
+   * first is produced. This is a terminal operation.
+   * @param {function} keyFn the function producing the key of each element
+   * @param {function} cmp the comparator for keys, which orders them using `<` by default
+   */
+  minBy(keyFn, cmp = compare) {
+    return extreme(membersOf(this), keyFn, cmp, 1);
+  }
+
+  /**
+   * Produces the element of this iterator with the largest key, as produced by the specified
+   * function, or `undefined` if it yields nothing. If several elements share the largest key, the
+   * first is produced. This is a terminal operation.
+   * @param {function} keyFn the function producing the key of each element
+   * @param {function} cmp the comparator for keys, which orders them using `<` by default
+   */
+  maxBy(keyFn, cmp = compare) {
+    return extreme(membersOf(this), keyFn, cmp, -1);
   }
 
   /**
@@ -235,17 +505,50 @@ class Iterator {
 
   /**
    * Produces the `n`th member of the iterator. If `n` is outside the bounds of the iterator,
-   * `undefined` is returned.
+   * `undefined` is returned. If the iterator supports access by position, the member is produced
+   * without iterating over the members before it.
    * @param {number} n the index to take.
    */
   nth(n) {
+    const indexed = liveIndexed(this);
     if (n < 0) {
       return undefined;
+    } else if (indexed !== undefined) {
+      const i = skipCount(n);
+      return i < indexed.size() ? indexed.get(i) : undefined;
     } else {
       return this.skip(n).take(1).collect()[0];
     }
   }
 
+  /**
+   * Produces the last member of the iterator, or `undefined` if it yields nothing. If the iterator
+   * supports access by position, the member is produced without iterating. This is a terminal
+   * operation.
+   */
+  last() {
+    const indexed = liveIndexed(this);
+    if (indexed !== undefined) {
+      const n = indexed.size();
+      return n > 0 ? indexed.get(n - 1) : undefined;
+    }
+    return last(membersOf(this));
+  }
+
+  /**
+   * Produces a new iterator which yields the members of this iterator in reverse order. This is
+   * only supported for double-ended iterators, which are finite iterators that support access by
+   * position, such as iterators over arrays, typed arrays and ranges.
+   */
+  rev() {
+    const indexed = liveIndexed(this);
+    if (indexed === undefined || !Number.isFinite(indexed.size())) {
+      throw new Error('Cannot reverse an iterator which is not double-ended');
+    }
+    const reversed = revIndexed(indexed);
+    return new Iterator(fromIndexed(reversed), reversed);
+  }
+
   /**
    * Produces a new iterator that produces the contents of this iterator looped infinitely.
    */
@@ -259,12 +562,7 @@ class Iterator {
    * @param {function} predicate the predicate
    */
   any(predicate) {
-    for (const x of this.iter) {
-      if (predicate(x)) {
-        return true;
-      }
-    }
-    return false;
+    return any(membersOf(this), predicate);
   }
 
   /**
@@ -273,12 +571,7 @@ class Iterator {
    * @param {function} predicate the predicate
    */
   all(predicate) {
-    for (const x of this.iter) {
-      if (!predicate(x)) {
-        return false;
-      }
-    }
-    return true;
+    return all(membersOf(this), predicate);
   }
 
   /**
@@ -287,11 +580,12 @@ class Iterator {
    * @param {iterator} iter the other iterator
    */
   zip(iter) {
-    if (iter instanceof Iterator) {
-      return iterator(zip(this.iter, iter.iter));
-    } else {
-      return iterator(zip(this.iter, iter));
-    }
+    const other = iter instanceof Iterator ? iter : iterator(iter);
+    return new Iterator(
+      zip(this.wrapped, other.wrapped),
+      zipIndexed(liveIndexed(this), liveIndexed(other)),
+      [this, other]
+    );
   }
 
   /**
@@ -304,6 +598,14 @@ class Iterator {
     return this.zip(iter).map(([a, b]) => f(a, b));
   }
 
+  /**
+   * Produces an `AsyncIterator` yielding the members of this iterator. Members which are promises
+   * are awaited before being yielded.
+   */
+  toAsync() {
+    return asyncIterator(this.iter);
+  }
+
   /**
    * Produces the iterator wrapped by this iterator.
    */
@@ -316,10 +618,7 @@ class Iterator {
    * terminal operation.
    */
   first() {
-    for (const x of this.iter) {
-      return x;
-    }
-    return undefined;
+    return first(membersOf(this));
   }
 
   /**
@@ -336,14 +635,544 @@ class Iterator {
    * iterator, and the second element of the list is the index of the element.
    */
   enumerate() {
-    return iterator(enumerate(this.iter));
+    return new Iterator(
+      enumerate(this.wrapped),
+      mapIndexed(liveIndexed(this), (x, i) => [x, i]),
+      [this]
+    );
+  }
+
+  /**
+   * Produces a new iterator which yields lists of `n` consecutive members of this iterator. The
+   * final list contains the remaining members, and may be shorter than `n`.
+   * @param {number} n the number of members in each list
+   */
+  chunk(n) {
+    checkInteger(n, 1, 'chunk size');
+    return iterator(chunk(this.iter, n));
+  }
+
+  /**
+   * Produces a new iterator which yields lists of `size` consecutive members of this iterator,
+   * starting a new list every `step` members. Windows overlap if `step` is less than `size`, and
+   * members are skipped if it is greater. Only complete windows are yielded, and no more than
+   * `size` members are held at once.
+   * @param {number} size the number of members in each window
+   * @param {number} step the number of members between the starts of consecutive windows
+   */
+  windows(size, step = 1) {
+    checkInteger(size, 1, 'window size');
+    checkInteger(step, 1, 'window step');
+    return iterator(windows(this.iter, size, step));
+  }
+
+  /**
+   * Produces a new iterator which yields lists of consecutive members of this iterator that share
+   * the same key, as produced by the specified function.
+   * @param {function} keyFn the function producing the key of each member
+   */
+  chunkBy(keyFn) {
+    return iterator(chunkBy(this.iter, keyFn));
+  }
+
+  /**
+   * Produces a new iterator which yields members of this iterator for as long as they satisfy the
+   * specified predicate, terminating at the first member which does not.
+   * @param {function} predicate the predicate
+   */
+  takeWhile(predicate) {
+    return iterator(takeWhile(this.iter, predicate));
+  }
+
+  /**
+   * Produces a new iterator which skips members of this iterator for as long as they satisfy the
+   * specified predicate, and then yields every remaining member.
+   * @param {function} predicate the predicate
+   */
+  skipWhile(predicate) {
+    return iterator(skipWhile(this.iter, predicate));
+  }
+
+  /**
+   * Produces a new iterator which yields the result of executing the specified function on each
+   * member of this iterator, terminating as soon as the function produces `undefined`.
+   * @param {function} f the function to execute on each member
+   */
+  mapWhile(f) {
+    return iterator(mapWhile(this.iter, f));
+  }
+
+  /**
+   * Produces a new iterator which yields the running state of a fold across this iterator. Each
+   * state is produced by executing the specified function on the previous state, starting from
+   * `init`, and the next member.
+   * @param {any} init the initial state
+   * @param {function} f the function producing the next state
+   */
+  scan(init, f) {
+    return iterator(scan(this.iter, init, f));
+  }
+
+  /**
+   * Produces a new iterator which yields the first member of this iterator and then every `n`th
+   * member after it.
+   * @param {number} n the step between yielded members
+   */
+  stepBy(n) {
+    checkInteger(n, 1, 'step');
+    return new Iterator(stepBy(this.wrapped, n), stepIndexed(liveIndexed(this), n), [this]);
+  }
+
+  /**
+   * Produces a new iterator which yields the members of this iterator followed by the members of
+   * each of the specified iterators in turn.
+   * @param {...iterator} others the iterators to yield from once this iterator is exhausted
+   */
+  chain(...others) {
+    return iterator(chain([this.iter, ...others]));
+  }
+
+  /**
+   * Produces a new iterator which, once this iterator has reported that it is exhausted, always
+   * reports that it is exhausted, even if this iterator would go on to yield more members.
+   */
+  fuse() {
+    return iterator(fuse(this.iter));
+  }
+
+  /**
+   * Produces a new iterator which yields the cartesian product of this iterator and the specified
+   * iterators, as lists containing one member of each, with later iterators varying fastest. This
+   * iterator is streamed, while the other iterators are buffered in full, so they must be finite.
+   * @param {...iterator} others the other iterators
+   */
+  cartesianProduct(...others) {
+    return iterator(cartesianProduct(this.iter, others));
+  }
+
+  /**
+   * Produces a new iterator which yields every ordering of `k` distinct members of this iterator,
+   * as lists, in lexicographic order of their positions. If `k` is not specified, every ordering
+   * of all members is yielded. This iterator is buffered in full, so it must be finite.
+   * @param {number} k the number of members in each permutation
+   */
+  permutations(k) {
+    if (k !== undefined) {
+      checkInteger(k, 0, 'permutation size');
+    }
+    return iterator(permutations(this.iter, k));
+  }
+
+  /**
+   * Produces a new iterator which yields every selection of `k` distinct members of this iterator,
+   * as lists in the order the members were yielded. Combinations are yielded as soon as their last
+   * member is yielded by this iterator, so only the members seen so far are buffered and infinite
+   * iterators are supported.
+   * @param {number} k the number of members in each combination
+   */
+  combinations(k) {
+    checkInteger(k, 0, 'combination size');
+    return iterator(combinations(this.iter, k));
+  }
+
+  /**
+   * Produces a new iterator which yields every selection of `k` members of this iterator, where a
+   * member may be selected more than once, as lists in the order the members were yielded. As with
+   * `combinations`, only the members seen so far are buffered.
+   * @param {number} k the number of members in each combination
+   */
+  combinationsWithReplacement(k) {
+    checkInteger(k, 0, 'combination size');
+    return iterator(combinationsWithReplacement(this.iter, k));
+  }
+
+  /**
+   * Produces a new iterator which yields every subset of the members of this iterator, as lists in
+   * the order the members were yielded, starting with the empty list. As with `combinations`,
+   * only the members seen so far are buffered.
+   */
+  powerset() {
+    return iterator(powerset(this.iter));
+  }
+
+  /**
+   * Produces a new iterator which yields only the first member of this iterator with each key,
+   * remembering every key it has seen. By default, members are their own keys.
+   * @param {function} keyFn the function producing the key of each member
+   */
+  unique(keyFn = identity) {
+    return iterator(unique(this.iter, keyFn));
+  }
+
+  /**
+   * Produces a new iterator which drops each member whose key is the same as the key of the
+   * member before it. By default, members are their own keys.
+   * @param {function} keyFn the function producing the key of each member
+   */
+  dedupe(keyFn = identity) {
+    return iterator(dedupe(this.iter, keyFn));
+  }
+
+  /**
+   * Produces a new iterator which merges this iterator and the specified iterators, each of which
+   * must already be sorted, into a single sorted iterator. Members which compare equal are yielded
+   * in the order of their iterators. The comparator may be given as the last argument.
+   * @param {...iterator} others the other sorted iterators, optionally followed by a comparator
+   */
+  mergeSorted(...others) {
+    const [sources, cmp] = splitComparator(others);
+    return iterator(mergeSorted([this.iter, ...sources], cmp));
+  }
+
+  /**
+   * Produces a new sorted iterator which yields each member found in this iterator or any of the
+   * specified sorted iterators once. The comparator may be given as the last argument.
+   * @param {...iterator} others the other sorted iterators, optionally followed by a comparator
+   */
+  unionSorted(...others) {
+    const [sources, cmp] = splitComparator(others);
+    return iterator(unionSorted([this.iter, ...sources], cmp));
+  }
+
+  /**
+   * Produces a new sorted iterator which yields each member found in this iterator and in every
+   * one of the specified sorted iterators once. The comparator may be given as the last argument.
+   * @param {...iterator} others the other sorted iterators, optionally followed by a comparator
+   */
+  intersectSorted(...others) {
+    const [sources, cmp] = splitComparator(others);
+    return iterator(intersectSorted([this.iter, ...sources], cmp));
+  }
+
+  /**
+   * Produces a new sorted iterator which yields each member of this iterator found in none of the
+   * specified sorted iterators once. The comparator may be given as the last argument.
+   * @param {...iterator} others the other sorted iterators, optionally followed by a comparator
+   */
+  differenceSorted(...others) {
+    const [sources, cmp] = splitComparator(others);
+    return iterator(differenceSorted(this.iter, sources, cmp));
+  }
+
+  /**
+   * Produces a new iterator which yields the members of this iterator in sorted order. Members
+   * which compare equal keep their relative order. Nothing is pulled until the first member is
+   * requested; the members are then heapified, so yielding the first few is faster than sorting
+   * them all. When a memory budget is given, sorted runs of that many members are spilled to
+   * temporary files, which are merged as the sorted members are yielded and removed once the
+   * iterator finishes or is closed.
+   * @param {function} cmp the comparator, which orders members using `<` by default
+   * @param {object} options the options for sorting in external memory
+   * @param {number} options.budget the largest number of members to hold in memory
+   * @param {function} options.serialize the function converting each spilled member to a single
+   * line of text, which uses `JSON.stringify` by default, writing `undefined` as an empty line.
+   * Members must survive the round trip through `serialize` and `deserialize`, so members such as
+   * dates, or arrays holding `undefined`, which JSON turns into `null`, need their own pair of
+   * functions.
+   * @param {function} options.deserialize the function converting each line back into a member,
+   * which uses `JSON.parse` by default
+   * @param {string} options.tmpdir the directory in which to spill runs, which is the temporary
+   * directory of the operating system by default
+   */
+  sorted(cmp = compare, options = {}) {
+    return iterator(sorted(this.iter, identity, cmp, checkSortOptions(options)));
+  }
+
+  /**
+   * Produces a new iterator which yields the members of this iterator sorted by their keys, as
+   * produced by the specified function, which is called once per member. Otherwise it behaves
+   * like `sorted`, except that `serialize` and `deserialize` convert entries, objects holding a
+   * member as `value` and its key as `key`, since each key is spilled along with its member.
+   * @param {function} keyFn the function producing the key of each member
+   * @param {function} cmp the comparator for keys, which orders them using `<` by default
+   * @param {object} options the options for sorting in external memory, as for `sorted`
+   */
+  sortBy(keyFn, cmp = compare, options = {}) {
+    return iterator(sorted(this.iter, keyFn, cmp, checkSortOptions(options)));
+  }
+
+  /**
+   * Produces a new iterator which yields the `k` largest members of this iterator, from largest to
+   * smallest, holding no more than `k` members in memory. Of members which compare equal, the
+   * earliest are preferred and yielded first.
+   * @param {number} k the number of members
+   * @param {function} cmp the comparator, which orders members using `<` by default
+   */
+  topK(k, cmp = compare) {
+    checkInteger(k, 0, 'number of members');
+    return iterator(extremes(this.iter, k, cmp, -1));
+  }
+
+  /**
+   * Produces a new iterator which yields the `k` smallest members of this iterator, from smallest
+   * to largest, holding no more than `k` members in memory. Of members which compare equal, the
+   * earliest are preferred and yielded first.
+   * @param {number} k the number of members
+   * @param {function} cmp the comparator, which orders members using `<` by default
+   */
+  bottomK(k, cmp = compare) {
+    checkInteger(k, 0, 'number of members');
+    return iterator(extremes(this.iter, k, cmp, 1));
+  }
+
+  /**
+   * Produces a new iterator which merges the sorted iterables yielded by this iterator into a
+   * single sorted iterator, using a heap so that each member costs time logarithmic in the number
+   * of runs. Members which compare equal are yielded in the order of their runs. Every run is
+   * pulled from this iterator before the first member is yielded.
+   * @param {function} cmp the comparator, which orders members using `<` by default
+   */
+  kWayMerge(cmp = compare) {
+    return iterator(kWayMerge(this.iter, cmp));
+  }
+
+  /**
+   * Produces a new iterator which yields the members of this iterator until it throws an error, at
+   * which point the error is passed to the specified handler and the iterator continues with the
+   * members of the fallback iterator the handler produces. Errors thrown by the handler or by the
+   * fallback iterator are not caught.
+   * @param {function} handler the function producing a fallback iterator from an error
+   */
+  catchError(handler) {
+    return iterator(catchError(this.iter, handler));
+  }
+
+  /**
+   * Produces a new iterator which calls the specified function with any error thrown by this
+   * iterator before rethrowing it.
+   * @param {function} f the function to call with each error
+   */
+  onError(f) {
+    return iterator(onError(this.iter, f));
+  }
+
+  /**
+   * Produces a new iterator which maps the specified function over this iterator, yielding
+   * `{ ok: true, value }` for each member it maps successfully and `{ ok: false, error }` for each
+   * member it throws on. Errors thrown by this iterator itself are not caught.
+   * @param {function} f the transforming function
+   */
+  tryMap(f) {
+    return iterator(tryMap(this.iter, f));
+  }
+
+  /**
+   * Produces a new iterator which passes the members of this iterator through unmodified, calling
+   * the specified logger with the label and each event: `'yield'` with each member, `'error'` with
+   * any error thrown, `'done'` once this iterator is exhausted and `'return'` if it is closed
+   * early.
+   * @param {string} label the label identifying this point in the chain
+   * @param {function} logger the function called with each event, `console.log` by default
+   */
+  trace(label, logger = console.log) {
+    return iterator(trace(this.iter, label, logger));
+  }
+
+  /**
+   * Produces a description of the chain of adapters which produced this iterator, such as
+   * `source → filter → map → take(10)`. Arguments are shown only if they are all primitives.
+   */
+  describe() {
+    const { stages } = stagesOf(this);
+    return ['source', ...stages.map(formatStage)].join(' → ');
+  }
+
+  /**
+   * Produces a new iterator equivalent to this iterator, which records the number of members
+   * entering and leaving each stage of the chain that produced it, the time spent in the callbacks
+   * passed to each stage in milliseconds, and the number of errors each stage threw. The chain is
+   * rebuilt from its source, so this iterator should not already have been consumed. Once the new
+   * iterator is exhausted, throws or is closed, the specified function is called with a list of
+   * records of the form `{ stage, elementsIn, elementsOut, callbackTime, errors }`, starting with
+   * the source. The new iterator is described by the same chain as this iterator.
+   * @param {function} report the function called with the records
+   */
+  instrument(report) {
+    const { root, stages } = stagesOf(this);
+    const state = { lastError: undefined };
+    const records = [stageRecord('source')];
+    let instrumented = iterator(probe(root.iter, records[0], state));
+    stages.forEach((stage) => {
+      const record = stageRecord(formatStage(stage));
+      const args = stage.args.map((arg) => (typeof arg === 'function' ? timed(arg, record) : arg));
+      instrumented = iterator(probe(instrumented[stage.name](...args), record, state));
+      records.push(record);
+    });
+    const result = instrumented.onFinally(() => {
+      records.forEach((record, i) => {
+        record.elementsIn = i === 0 ? record.elementsOut : records[i - 1].elementsOut;
+      });
+      report(records);
+    });
+    result.origin = this.origin;
+    return result;
+  }
+
+  /**
+   * Produces a list of `n` independent iterators which each yield every member of this iterator.
+   * Members are pulled from this iterator once and buffered only until every iterator has yielded
+   * them, so the buffer grows with the gap between the fastest and slowest iterators. If that gap
+   * would exceed `maxBuffer` members, an error is thrown instead. This iterator should not be used
+   * once it has been split.
+   * @param {number} n the number of iterators to produce
+   * @param {object} options the buffering options
+   * @param {number} options.maxBuffer the maximum number of members to buffer
+   */
+  tee(n = 2, { maxBuffer = Infinity } = {}) {
+    checkInteger(n, 1, 'number of iterators');
+    return tee(this.iter, n, maxBuffer).map((iter) => iterator(iter));
+  }
+
+  /**
+   * Produces a `PeekableIterator` over the members of this iterator, which supports looking ahead
+   * at upcoming members without consuming them.
+   */
+  peekable() {
+    return new PeekableIterator(this.iter);
   }
 
   [Symbol.iterator]() {
-    return this.iter;
+    return this.iter[Symbol.iterator]();
+  }
+}
+
+function pull(state) {
+  if (state.done) {
+    return { done: true, value: undefined };
+  }
+  const result = state.source.next();
+  if (result.done) {
+    state.done = true;
+  }
+  return result;
+}
+
+function fill(state, k) {
+  while (state.buffer.length < k && !state.done) {
+    const result = pull(state);
+    if (!result.done) {
+      state.buffer.push(result.value);
+    }
   }
 }
 
+/**
+ * @constructor produces an `Iterator` which can look ahead at the members of the wrapped iterator
+ * without consuming them. Members which have been looked at are buffered until they are consumed,
+ * either explicitly or by any other operation on the iterator.
+ * @param {iterator} iter the wrapped iterator
+ */
+class PeekableIterator extends Iterator {
+  constructor(iter) {
+    if (!isIterator(iter)) {
+      throw new Error(`${iter} is not an iterator`);
+    }
+    const state = { source: iter[Symbol.iterator](), buffer: [], done: false };
+    super({
+      next: () => {
+        if (state.buffer.length > 0) {
+          return { done: false, value: state.buffer.shift() };
+        }
+        return pull(state);
+      },
+      return: (value) => {
+        state.buffer = [];
+        if (!state.done) {
+          state.done = true;
+          closeSource(state.source);
+        }
+        return { done: true, value };
+      },
+      [Symbol.iterator]() {
+        return this;
+      }
+    });
+    this.state = state;
+  }
+
+  /**
+   * Produces the next member of the iterator without consuming it, or `undefined` if the iterator
+   * is exhausted.
+   */
+  peek() {
+    fill(this.state, 1);
+    return this.state.buffer[0];
+  }
+
+  /**
+   * Produces a list of the next `k` members of the iterator without consuming them. The list is
+   * shorter than `k` if the iterator is exhausted first.
+   * @param {number} k the number of members to look at
+   */
+  peekN(k) {
+    fill(this.state, k);
+    return this.state.buffer.slice(0, k);
+  }
+
+  /**
+   * Consumes the next member of the iterator, producing an iterator result of the form
+   * `{ done, value }`.
+   */
+  next() {
+    return this.iter.next();
+  }
+
+  /**
+   * Consumes and produces the next member of the iterator if it satisfies the specified predicate.
+   * Otherwise, nothing is consumed and `undefined` is produced.
+   * @param {function} predicate the predicate
+   */
+  nextIf(predicate) {
+    fill(this.state, 1);
+    if (this.state.buffer.length > 0 && predicate(this.state.buffer[0])) {
+      return this.state.buffer.shift();
+    }
+    return undefined;
+  }
+
+  /**
+   * Consumes members of the iterator for as long as they satisfy the specified predicate,
+   * producing a list of the consumed members. The first member which does not satisfy the
+   * predicate is not consumed.
+   * @param {function} predicate the predicate
+   */
+  nextWhile(predicate) {
+    const taken = [];
+    while (true) {
+      fill(this.state, 1);
+      if (this.state.buffer.length === 0 || !predicate(this.state.buffer[0])) {
+        return taken;
+      }
+      taken.push(this.state.buffer.shift());
+    }
+  }
+
+  /**
+   * Produces this iterator, which is already peekable.
+   */
+  peekable() {
+    return this;
+  }
+}
+
+// Records the method which produced each iterator, along with its arguments and the iterator it
+// was called on, so that `describe` and `instrument` can reconstruct the chain.
+function recordOrigin(name, method) {
+  return function origin(...args) {
+    const result = method.apply(this, args);
+    if (result instanceof Iterator && result !== this) {
+      result.origin = { name, args, parent: this };
+    }
+    return result;
+  };
+}
+
+Object.getOwnPropertyNames(Iterator.prototype)
+  .filter((name) => !['constructor', 'iterator', 'iter', 'instrument'].includes(name))
+  .forEach((name) => {
+    Iterator.prototype[name] = recordOrigin(name, Iterator.prototype[name]);
+  });
+
 /**
  * Produces an `Iterator` wrapping the specified iterator.
  * @param {iterator} iter the iterator to wrap
@@ -352,4 +1181,222 @@ function iterator(iter) {
   return new Iterator(iter);
 }
 
+function indexedIterator(indexed) {
+  return new Iterator(fromIndexed(indexed), indexed);
+}
+
+function rangeSize(start, end, step, inclusive) {
+  if (typeof start === 'bigint') {
+    const span = end - start;
+    if (span !== 0n && span < 0n !== step < 0n) {
+      return 0;
+    }
+    const whole = span / step;
+    return Number(inclusive || whole * step !== span ? whole + 1n : whole);
+  }
+  const exact = (end - start) / step;
+  // Rounding errors may leave a whole number of steps, such as 0.3 / 0.1, just short of or past it
+  const nearest = Math.round(exact);
+  const steps = Math.abs(exact - nearest) <= 4 * Number.EPSILON * Math.abs(exact) ? nearest : exact;
+  if (steps < 0 || Number.isNaN(steps)) {
+    return 0;
+  }
+  if (inclusive) {
+    return Math.floor(steps) + 1;
+  }
+  return Math.ceil(steps);
+}
+
+/**
+ * Produces an `Iterator` over the numbers from `start` up to `end`, advancing by `step` each
+ * time. If only one argument is specified, the range starts at `0` and ends at that argument. The
+ * end is excluded unless `inclusive` is `true`, and may be `Infinity`. BigInts are supported, in
+ * which case every argument must be a BigInt. The iterator supports access by position, so it may
+ * be counted, indexed and reversed in constant time.
+ * @param {number} start the first number
+ * @param {number} end the number at which to stop
+ * @param {number} step the difference between consecutive numbers, which may be negative
+ * @param {object} options the range options
+ * @param {boolean} options.inclusive whether the end is included
+ */
+iterator.range = (start, end, step, { inclusive = false } = {}) => {
+  if (end === undefined) {
+    return iterator.range(typeof start === 'bigint' ? 0n : 0, start, step, { inclusive });
+  }
+  const isBig = typeof start === 'bigint';
+  const by = step === undefined ? (isBig ? 1n : 1) : step;
+  if ((typeof end === 'bigint') !== isBig || (typeof by === 'bigint') !== isBig) {
+    throw new Error('Cannot mix BigInt and number bounds in a range');
+  }
+  if (by === 0 || by === 0n) {
+    throw new Error('The step of a range cannot be zero');
+  }
+  const size = rangeSize(start, end, by, inclusive);
+  return indexedIterator({
+    size: () => size,
+    get: isBig ? (i) => start + BigInt(i) * by : (i) => start + i * by
+  });
+};
+
+/**
+ * Produces an `Iterator` which yields the specified value `n` times, or infinitely if `n` is not
+ * specified.
+ * @param {any} x the value to yield
+ * @param {number} n the number of times to yield it, which must be a non-negative integer or
+ * `Infinity`
+ */
+iterator.repeat = (x, n = Infinity) => {
+  if (!(Number.isInteger(n) || n === Infinity) || n < 0) {
+    throw new Error(`${n} is not a valid number of repetitions`);
+  }
+  return indexedIterator({ size: () => n, get: () => x });
+};
+
+/**
+ * Produces an infinite `Iterator` which yields the result of executing the specified function
+ * each time a member is requested.
+ * @param {function} f the function producing each member
+ */
+iterator.repeatWith = (f) =>
+  iterator(
+    (function* repeatWith() {
+      while (true) {
+        yield f();
+      }
+    })()
+  );
+
+/**
+ * Produces an infinite `Iterator` which yields `seed`, then the result of executing the specified
+ * function on it, then the result of executing the function on that, and so on.
+ * @param {any} seed the first member
+ * @param {function} f the function producing each member from the previous one
+ */
+iterator.iterate = (seed, f) =>
+  iterator(
+    (function* iterate() {
+      let x = seed;
+      while (true) {
+        yield x;
+        x = f(x);
+      }
+    })()
+  );
+
+/**
+ * Produces an `Iterator` which yields `first`, then the result of executing the specified function
+ * on it, and so on, terminating as soon as `undefined` is produced.
+ * @param {any} first the first member
+ * @param {function} f the function producing each member from the previous one
+ */
+iterator.successors = (first, f) =>
+  iterator(
+    (function* successors() {
+      for (let x = first; x !== undefined; x = f(x)) {
+        yield x;
+      }
+    })()
+  );
+
+/**
+ * Produces an `Iterator` by repeatedly executing the specified function on a state, starting with
+ * `seed`. The function produces a pair of the member to yield and the next state, or `undefined`
+ * to terminate the iterator.
+ * @param {any} seed the initial state
+ * @param {function} f the function producing each member and the next state
+ */
+iterator.unfold = (seed, f) =>
+  iterator(
+    (function* unfold() {
+      let state = seed;
+      while (true) {
+        const next = f(state);
+        if (next === undefined) {
+          return;
+        }
+        const [x, nextState] = next;
+        yield x;
+        state = nextState;
+      }
+    })()
+  );
+
+/**
+ * Produces an `Iterator` which yields nothing.
+ */
+iterator.empty = () => iterator([]);
+
+/**
+ * Produces an `Iterator` which yields only the specified value.
+ * @param {any} x the value to yield
+ */
+iterator.once = (x) => iterator([x]);
+
+function objectIterator(obj, f) {
+  const keys = Object.keys(obj);
+  return indexedIterator({ size: () => keys.length, get: (i) => f(keys[i]) });
+}
+
+/**
+ * Produces an `Iterator` over the `[key, value]` pairs of the own enumerable properties of the
+ * specified object.
+ * @param {object} obj the object
+ */
+iterator.entries = (obj) => objectIterator(obj, (key) => [key, obj[key]]);
+
+/**
+ * Produces an `Iterator` over the keys of the own enumerable properties of the specified object.
+ * @param {object} obj the object
+ */
+iterator.keys = (obj) => objectIterator(obj, (key) => key);
+
+/**
+ * Produces an `Iterator` over the values of the own enumerable properties of the specified object.
+ * @param {object} obj the object
+ */
+iterator.values = (obj) => objectIterator(obj, (key) => obj[key]);
+
+/**
+ * Produces an `Iterator` over the specified iterable, or the iterable itself if it is already an
+ * `Iterator`, so that adapters applied to it continue the same chain.
+ * @param {iterator} iter the iterable
+ */
+iterator.from = (iter) => (iter instanceof Iterator ? iter : iterator(iter));
+
+function wrapExtension(result) {
+  if (result instanceof Iterator) {
+    return result;
+  }
+  if (result != null && typeof result.next === 'function' && isIterator(result)) {
+    return iterator(result);
+  }
+  return result;
+}
+
+/**
+ * Adds the specified functions to every `Iterator` as methods. Each function is passed the
+ * iterator it is called on, followed by the arguments of the call. If it produces an iterator
+ * object, such as a generator, that object is wrapped in an `Iterator`, so the function acts as an
+ * adapter; any other result is produced as is, so the function acts as a terminal operation.
+ * Existing methods may not be replaced.
+ * @param {object} methods the functions to add, keyed by method name
+ */
+iterator.extend = (methods) => {
+  const names = Object.keys(methods);
+  names.forEach((name) => {
+    if (typeof methods[name] !== 'function') {
+      throw new Error(`${methods[name]} is not a function`);
+    }
+    if (name in PeekableIterator.prototype) {
+      throw new Error(`${name} is already a method of Iterator`);
+    }
+  });
+  names.forEach((name) => {
+    const f = methods[name];
+    Iterator.prototype[name] = recordOrigin(name, function extension(...args) {
+      return wrapExtension(f(this, ...args));
+    });
+  });
+};
+
 module.exports = iterator;
@@ -1,5 +1,9 @@
 const asyncIterator = require('./iter/async');
 const iterator = require('./iter/sync');
+const collectors = require('./collectors');
+const operators = require('./operators');
+const { AbortError, TimeoutError, WorkerError } = require('./errors');
+const { virtualScheduler } = require('./scheduler');
 
 function* positives() {
   for (let i = 1; true; i++) {
@@ -13,9 +17,41 @@ function* negatives() {
   }
 }
 
+const {
+  range,
+  repeat,
+  repeatWith,
+  iterate,
+  unfold,
+  successors,
+  empty,
+  once,
+  entries,
+  keys,
+  values
+} = iterator;
+
 module.exports = {
   asyncIterator,
   iterator,
+  collectors,
+  operators,
+  pipe: operators.pipe,
   positives,
-  negatives
+  negatives,
+  range,
+  repeat,
+  repeatWith,
+  iterate,
+  unfold,
+  successors,
+  empty,
+  once,
+  entries,
+  keys,
+  values,
+  virtualScheduler,
+  AbortError,
+  TimeoutError,
+  WorkerError
 };
@@ -0,0 +1,358 @@
+const asyncAdapters = require('./adapters/async');
+const syncAdapters = require('./adapters/sync');
+const { checkInteger } = require('./checks');
+const { averaging, multiplying, statistics, summing } = require('./collectors');
+const { compare, identity, splitComparator } = require('./compare');
+const { resolveFunction } = require('./pool');
+const { defaultScheduler } = require('./scheduler');
+const { checkSortOptions } = require('./sort');
+
+// The standalone operators apply the generator adapters and terminal operations directly to their
+// sources, without going through either iterator class, so each takes the same arguments as the
+// method of the same name but produces a plain iterator rather than an `Iterator`. Custom
+// operators are plain functions, while `iterator.extend` and `asyncIterator.extend` each add
+// methods to their own class only.
+
+/**
+ * Produces an operator which calls `onSync` with a synchronous source, or `onAsync` with an
+ * asynchronous one, followed by the specified arguments. If either function is missing, the
+ * operator is not supported by that kind of source.
+ * @param {string} name the name of the operator
+ * @param {function} onSync the function applied to synchronous sources
+ * @param {function} onAsync the function applied to asynchronous sources
+ * @param {...any} args the arguments passed after the source
+ */
+function operator(name, onSync, onAsync, ...args) {
+  return (source) => {
+    const async = asyncAdapters.isAsyncIterator(source);
+    const apply = async ? onAsync : onSync;
+    if (apply === undefined) {
+      const kind = async ? 'asynchronous' : 'synchronous';
+      throw new Error(`${name} is not supported by ${kind} iterators`);
+    }
+    return apply(source, ...args);
+  };
+}
+
+/**
+ * Applies each of the specified operators in turn, starting with the source, and produces the
+ * result of the last one. An operator is any function taking the result of the previous operator,
+ * so custom operators need not be registered.
+ * @param {iterator} source the source iterable
+ * @param {...function} operators the operators to apply
+ */
+function pipe(source, ...operators) {
+  return operators.reduce((result, f) => f(result), source);
+}
+
+// Adapters
+const use = (f) => operator('use', syncAdapters.use, asyncAdapters.use, f);
+const onFinally = (f) => operator('onFinally', syncAdapters.onFinally, asyncAdapters.onFinally, f);
+const take = (n) => operator('take', syncAdapters.take, asyncAdapters.take, n);
+const skip = (n) => operator('skip', syncAdapters.skip, asyncAdapters.skip, n);
+const map = (f) => operator('map', syncAdapters.map, asyncAdapters.map, f);
+const flatMap = (f) => operator('flatMap', syncAdapters.flatMap, asyncAdapters.flatMap, f);
+const filter = (predicate) =>
+  operator('filter', syncAdapters.filter, asyncAdapters.filter, predicate);
+const flatten = () => operator('flatten', syncAdapters.flatten, asyncAdapters.flatten);
+const loop = () => operator('loop', syncAdapters.loop, asyncAdapters.loop);
+
+const zip = (iter) =>
+  operator(
+    'zip',
+    syncAdapters.zip,
+    (source, other) => asyncAdapters.zip(source, asyncAdapters.asyncSource(other)),
+    iter
+  );
+
+const zipWith = (iter, f) => {
+  const zipped = zip(iter);
+  const mapped = map(([a, b]) => f(a, b));
+  return (source) => mapped(zipped(source));
+};
+
+const intersperse = (delim) =>
+  operator('intersperse', syncAdapters.intersperse, asyncAdapters.intersperse, delim);
+const enumerate = () => operator('enumerate', syncAdapters.enumerate, asyncAdapters.enumerate);
+
+const chunk = (n) => {
+  checkInteger(n, 1, 'chunk size');
+  return operator('chunk', syncAdapters.chunk, asyncAdapters.chunk, n);
+};
+
+const windows = (size, step = 1) => {
+  checkInteger(size, 1, 'window size');
+  checkInteger(step, 1, 'window step');
+  return operator('windows', syncAdapters.windows, asyncAdapters.windows, size, step);
+};
+
+const chunkBy = (keyFn) => operator('chunkBy', syncAdapters.chunkBy, asyncAdapters.chunkBy, keyFn);
+const takeWhile = (predicate) =>
+  operator('takeWhile', syncAdapters.takeWhile, asyncAdapters.takeWhile, predicate);
+const skipWhile = (predicate) =>
+  operator('skipWhile', syncAdapters.skipWhile, asyncAdapters.skipWhile, predicate);
+const mapWhile = (f) => operator('mapWhile', syncAdapters.mapWhile, asyncAdapters.mapWhile, f);
+const scan = (init, f) => operator('scan', syncAdapters.scan, asyncAdapters.scan, init, f);
+
+const stepBy = (n) => {
+  checkInteger(n, 1, 'step');
+  return operator('stepBy', syncAdapters.stepBy, asyncAdapters.stepBy, n);
+};
+
+const chain = (...others) =>
+  operator(
+    'chain',
+    (source) => syncAdapters.chain([source, ...others]),
+    (source) => asyncAdapters.chain([source, ...others])
+  );
+
+const fuse = () => operator('fuse', syncAdapters.fuse, asyncAdapters.fuse);
+const unique = (keyFn = identity) =>
+  operator('unique', syncAdapters.unique, asyncAdapters.unique, keyFn);
+const dedupe = (keyFn = identity) =>
+  operator('dedupe', syncAdapters.dedupe, asyncAdapters.dedupe, keyFn);
+
+const mergeSorted = (...others) => {
+  const [sources, cmp] = splitComparator(others);
+  return operator(
+    'mergeSorted',
+    (source) => syncAdapters.mergeSorted([source, ...sources], cmp),
+    (source) => asyncAdapters.mergeSorted([source, ...sources], cmp)
+  );
+};
+
+const unionSorted = (...others) => {
+  const [sources, cmp] = splitComparator(others);
+  return operator(
+    'unionSorted',
+    (source) => syncAdapters.unionSorted([source, ...sources], cmp),
+    (source) => asyncAdapters.unionSorted([source, ...sources], cmp)
+  );
+};
+
+const intersectSorted = (...others) => {
+  const [sources, cmp] = splitComparator(others);
+  return operator(
+    'intersectSorted',
+    (source) => syncAdapters.intersectSorted([source, ...sources], cmp),
+    (source) => asyncAdapters.intersectSorted([source, ...sources], cmp)
+  );
+};
+
+const differenceSorted = (...others) => {
+  const [sources, cmp] = splitComparator(others);
+  return operator(
+    'differenceSorted',
+    syncAdapters.differenceSorted,
+    asyncAdapters.differenceSorted,
+    sources,
+    cmp
+  );
+};
+
+const sorted = (cmp = compare, options = {}) => {
+  const checked = checkSortOptions(options);
+  return operator('sorted', syncAdapters.sorted, asyncAdapters.sorted, identity, cmp, checked);
+};
+
+const sortBy = (keyFn, cmp = compare, options = {}) => {
+  const checked = checkSortOptions(options);
+  return operator('sortBy', syncAdapters.sorted, asyncAdapters.sorted, keyFn, cmp, checked);
+};
+
+const topK = (k, cmp = compare) => {
+  checkInteger(k, 0, 'number of members');
+  return operator('topK', syncAdapters.extremes, asyncAdapters.extremes, k, cmp, -1);
+};
+
+const bottomK = (k, cmp = compare) => {
+  checkInteger(k, 0, 'number of members');
+  return operator('bottomK', syncAdapters.extremes, asyncAdapters.extremes, k, cmp, 1);
+};
+
+const kWayMerge = (cmp = compare) =>
+  operator('kWayMerge', syncAdapters.kWayMerge, asyncAdapters.kWayMerge, cmp);
+const catchError = (handler) =>
+  operator('catchError', syncAdapters.catchError, asyncAdapters.catchError, handler);
+const onError = (f) => operator('onError', syncAdapters.onError, asyncAdapters.onError, f);
+const tryMap = (f) => operator('tryMap', syncAdapters.tryMap, asyncAdapters.tryMap, f);
+
+const tee = (n = 2, { maxBuffer = Infinity } = {}) => {
+  checkInteger(n, 1, 'number of iterators');
+  return operator('tee', syncAdapters.tee, asyncAdapters.tee, n, maxBuffer);
+};
+
+const trace = (label, logger = console.log) =>
+  operator('trace', syncAdapters.trace, asyncAdapters.trace, label, logger);
+
+// Synchronous adapters
+const rev = () =>
+  operator('rev', (source) => {
+    // Only arrays and typed arrays are known to be double-ended without an `Iterator`
+    if (!syncAdapters.isIndexable(source)) {
+      throw new Error('Cannot reverse an iterator which is not double-ended');
+    }
+    return syncAdapters.rev(source);
+  });
+
+const cartesianProduct = (...others) =>
+  operator('cartesianProduct', syncAdapters.cartesianProduct, undefined, others);
+
+const permutations = (k) => {
+  if (k !== undefined) {
+    checkInteger(k, 0, 'permutation size');
+  }
+  return operator('permutations', syncAdapters.permutations, undefined, k);
+};
+
+const combinations = (k) => {
+  checkInteger(k, 0, 'combination size');
+  return operator('combinations', syncAdapters.combinations, undefined, k);
+};
+
+const combinationsWithReplacement = (k) => {
+  checkInteger(k, 0, 'combination size');
+  return operator(
+    'combinationsWithReplacement',
+    syncAdapters.combinationsWithReplacement,
+    undefined,
+    k
+  );
+};
+
+const powerset = () => operator('powerset', syncAdapters.powerset);
+
+// Asynchronous adapters
+const mapConcurrent = (f, { concurrency = 1, ordered = true } = {}) => {
+  checkInteger(concurrency, 1, 'concurrency');
+  return operator('mapConcurrent', undefined, asyncAdapters.mapConcurrent, f, concurrency, ordered);
+};
+
+const parallelMap = (
+  moduleOrFnPath,
+  { workers = asyncAdapters.defaultWorkers(), ordered = true } = {}
+) => {
+  checkInteger(workers, 1, 'number of workers');
+  const fn = resolveFunction(moduleOrFnPath);
+  return operator('parallelMap', undefined, asyncAdapters.parallelMap, fn, workers, ordered);
+};
+
+const withSignal = (signal) => operator('withSignal', undefined, asyncAdapters.abortable, signal);
+const delay = (ms, { scheduler = defaultScheduler } = {}) =>
+  operator('delay', undefined, asyncAdapters.delay, ms, scheduler);
+const throttle = (ms, { scheduler = defaultScheduler } = {}) =>
+  operator('throttle', undefined, asyncAdapters.throttle, ms, scheduler);
+const debounce = (ms, { scheduler = defaultScheduler } = {}) =>
+  operator('debounce', undefined, asyncAdapters.debounce, ms, scheduler);
+const timeout = (ms, { scheduler = defaultScheduler } = {}) =>
+  operator('timeout', undefined, asyncAdapters.timeout, ms, scheduler);
+const bufferTime = (ms, maxSize = Infinity, { scheduler = defaultScheduler } = {}) =>
+  operator('bufferTime', undefined, asyncAdapters.bufferTime, ms, maxSize, scheduler);
+
+const buffer = (n, { lowWaterMark = n - 1, overflow = 'block' } = {}) => {
+  asyncAdapters.checkBufferOptions(n, lowWaterMark, overflow);
+  return operator('buffer', undefined, asyncAdapters.buffer, n, lowWaterMark, overflow);
+};
+
+const prefetch = buffer;
+
+// Terminal operations
+const fold = (init, reducer) =>
+  operator('fold', syncAdapters.fold, asyncAdapters.fold, init, reducer);
+const collect = (collector) =>
+  operator('collect', syncAdapters.collect, asyncAdapters.collect, collector);
+const forEach = (f) => operator('forEach', syncAdapters.forEach, asyncAdapters.forEach, f);
+const count = () => operator('count', syncAdapters.count, asyncAdapters.count);
+const sum = () => collect(summing());
+const product = () => collect(multiplying());
+const average = () => collect(averaging());
+const stats = () => collect(statistics());
+const min = (cmp = compare) =>
+  operator('min', syncAdapters.extreme, asyncAdapters.extreme, identity, cmp, 1);
+const max = (cmp = compare) =>
+  operator('max', syncAdapters.extreme, asyncAdapters.extreme, identity, cmp, -1);
+const minBy = (keyFn, cmp = compare) =>
+  operator('minBy', syncAdapters.extreme, asyncAdapters.extreme, keyFn, cmp, 1);
+const maxBy = (keyFn, cmp = compare) =>
+  operator('maxBy', syncAdapters.extreme, asyncAdapters.extreme, keyFn, cmp, -1);
+const nth = (n) => operator('nth', syncAdapters.nth, asyncAdapters.nth, n);
+const last = () => operator('last', syncAdapters.last);
+const any = (predicate) => operator('any', syncAdapters.any, asyncAdapters.any, predicate);
+const all = (predicate) => operator('all', syncAdapters.all, asyncAdapters.all, predicate);
+const first = () => operator('first', syncAdapters.first, asyncAdapters.first);
+
+module.exports = {
+  pipe,
+  use,
+  onFinally,
+  take,
+  skip,
+  map,
+  flatMap,
+  filter,
+  flatten,
+  loop,
+  zip,
+  zipWith,
+  intersperse,
+  enumerate,
+  chunk,
+  windows,
+  chunkBy,
+  takeWhile,
+  skipWhile,
+  mapWhile,
+  scan,
+  stepBy,
+  chain,
+  fuse,
+  unique,
+  dedupe,
+  mergeSorted,
+  unionSorted,
+  intersectSorted,
+  differenceSorted,
+  sorted,
+  sortBy,
+  topK,
+  bottomK,
+  kWayMerge,
+  catchError,
+  onError,
+  tryMap,
+  tee,
+  trace,
+  rev,
+  cartesianProduct,
+  permutations,
+  combinations,
+  combinationsWithReplacement,
+  powerset,
+  mapConcurrent,
+  parallelMap,
+  withSignal,
+  delay,
+  throttle,
+  debounce,
+  timeout,
+  bufferTime,
+  buffer,
+  prefetch,
+  fold,
+  collect,
+  forEach,
+  count,
+  sum,
+  product,
+  average,
+  stats,
+  min,
+  max,
+  minBy,
+  maxBy,
+  nth,
+  last,
+  any,
+  all,
+  first
+};
@@ -0,0 +1,141 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { WorkerError } = require('./errors');
+
+const workerScript = path.join(__dirname, 'worker.js');
+
+/**
+ * Resolves a reference to a function for use by a `WorkerPool`. The reference is the path of a
+ * module exporting the function, resolved from the current working directory, optionally followed
+ * by `#` and the name of the export.
+ * @param {string} moduleOrFnPath the reference to the function
+ */
+function resolveFunction(moduleOrFnPath) {
+  if (typeof moduleOrFnPath !== 'string') {
+    throw new Error(`${moduleOrFnPath} is not a module path`);
+  }
+  const separator = moduleOrFnPath.lastIndexOf('#');
+  const file = separator < 0 ? moduleOrFnPath : moduleOrFnPath.slice(0, separator);
+  const name = separator < 0 ? undefined : moduleOrFnPath.slice(separator + 1);
+  return { file: require.resolve(file, { paths: [process.cwd()] }), name };
+}
+
+function remoteError({ name, message, stack }) {
+  const error = new Error(message);
+  error.name = name;
+  error.stack = stack;
+  return error;
+}
+
+/**
+ * @constructor produces a pool of up to `size` worker threads, each executing the specified
+ * function on one value at a time. Workers are started as they are needed, and a worker which
+ * stops unexpectedly is replaced for later tasks.
+ * @param {object} fn the function to execute, as produced by `resolveFunction`
+ * @param {number} size the maximum number of workers
+ */
+class WorkerPool {
+  constructor(fn, size) {
+    this.fn = fn;
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.closed = false;
+  }
+
+  /**
+   * Executes the function on the specified value in a worker, producing a promise of the result.
+   * @param {any} value the value, which must be supported by the structured clone algorithm
+   */
+  run(value) {
+    if (this.closed) {
+      return Promise.reject(new WorkerError('The worker pool is closed'));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ value, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (worker === undefined && this.workers.length < this.size) {
+        worker = this.spawn();
+      }
+      if (worker === undefined) {
+        return;
+      }
+      const task = this.queue.shift();
+      worker.task = task;
+      worker.ref();
+      worker.postMessage(task.value);
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(workerScript, { workerData: this.fn });
+    worker.on('message', ({ value, error }) => {
+      const { task } = worker;
+      if (task === undefined) {
+        return;
+      }
+      worker.task = undefined;
+      worker.unref();
+      this.idle.push(worker);
+      if (error === undefined) {
+        task.resolve(value);
+      } else {
+        task.reject(remoteError(error));
+      }
+      this.dispatch();
+    });
+    worker.on('error', (error) => this.remove(worker, error));
+    worker.on('exit', (code) => {
+      this.remove(worker, new WorkerError(`The worker exited with code ${code}`));
+    });
+    this.workers.push(worker);
+    return worker;
+  }
+
+  remove(worker, error) {
+    if (!this.workers.includes(worker)) {
+      return;
+    }
+    this.workers.splice(this.workers.indexOf(worker), 1);
+    if (this.idle.includes(worker)) {
+      this.idle.splice(this.idle.indexOf(worker), 1);
+    }
+    if (worker.task !== undefined) {
+      worker.task.reject(error);
+      worker.task = undefined;
+    }
+    if (!this.closed) {
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Stops every worker, rejecting any task which has not completed.
+   */
+  async close() {
+    this.closed = true;
+    const error = new WorkerError('The worker pool was closed');
+    this.queue.splice(0).forEach((task) => task.reject(error));
+    const workers = this.workers.splice(0);
+    this.idle = [];
+    workers.forEach((worker) => {
+      if (worker.task !== undefined) {
+        worker.task.reject(error);
+        worker.task = undefined;
+      }
+    });
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+module.exports = {
+  WorkerPool,
+  resolveFunction
+};
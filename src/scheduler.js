@@ -0,0 +1,105 @@
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * The scheduler used by time-based operations when none is specified, backed by the system clock
+ * and the global timer functions.
+ */
+const defaultScheduler = {
+  now: () => Date.now(),
+  setTimeout: (f, ms) => setTimeout(f, ms),
+  clearTimeout: (handle) => clearTimeout(handle)
+};
+
+/**
+ * @constructor produces a scheduler whose clock only moves when it is explicitly advanced
+ * @param {number} start the initial time of the clock
+ */
+class VirtualScheduler {
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = [];
+    this.nextHandle = 0;
+  }
+
+  /**
+   * Produces the current time of the clock, in milliseconds.
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Schedules the specified function to be executed once the clock has advanced by `ms`
+   * milliseconds, producing a handle which may be passed to `clearTimeout`.
+   * @param {function} f the function to execute
+   * @param {number} ms the number of milliseconds to wait
+   */
+  setTimeout(f, ms) {
+    const handle = this.nextHandle++;
+    this.timers.push({ handle, f, at: this.time + Math.max(0, ms) });
+    return handle;
+  }
+
+  /**
+   * Cancels the timer with the specified handle.
+   * @param {number} handle the handle of the timer to cancel
+   */
+  clearTimeout(handle) {
+    this.timers = this.timers.filter((timer) => timer.handle !== handle);
+  }
+
+  /**
+   * Advances the clock by `ms` milliseconds, executing each timer which becomes due in order and
+   * letting pending promises settle after each one.
+   * @param {number} ms the number of milliseconds to advance by
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+    await flush();
+    while (true) {
+      const due = this.timers
+        .filter((timer) => timer.at <= target)
+        .reduce((a, b) => (a === undefined || b.at < a.at ? b : a), undefined);
+      if (due === undefined) {
+        break;
+      }
+      this.timers.splice(this.timers.indexOf(due), 1);
+      this.time = due.at;
+      due.f();
+      await flush();
+    }
+    this.time = target;
+    await flush();
+  }
+}
+
+/**
+ * Produces a `VirtualScheduler`, which may be passed to time-based operations in place of the
+ * system clock.
+ * @param {number} start the initial time of the clock
+ */
+function virtualScheduler(start) {
+  return new VirtualScheduler(start);
+}
+
+/**
+ * Produces a promise which resolves after `ms` milliseconds have passed on the specified
+ * scheduler, along with a function to cancel it.
+ * @param {number} ms the number of milliseconds to wait
+ * @param {object} scheduler the scheduler to wait on
+ */
+function wait(ms, scheduler = defaultScheduler) {
+  let handle;
+  const promise = new Promise((resolve) => {
+    handle = scheduler.setTimeout(resolve, ms);
+  });
+  return { promise, cancel: () => scheduler.clearTimeout(handle) };
+}
+
+module.exports = {
+  defaultScheduler,
+  virtualScheduler,
+  wait
+};
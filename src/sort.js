@@ -0,0 +1,69 @@
+const { AsyncHeap, Heap } = require('./heap');
+
+// Helpers shared by `sorted` and `sortBy` on both kinds of iterator. Members are sorted as entries
+// of the form `{ key, value, index }`, where `index` is the position of the member in the source.
+
+// Orders entries by key, then by their position in the source, so that sorting is stable
+function entryBefore(cmp) {
+  return (a, b) => {
+    const order = cmp(a.key, b.key);
+    return order < 0 || (order === 0 && a.index < b.index);
+  };
+}
+
+// Like entryBefore, but awaits the comparator
+function awaitedEntryBefore(cmp) {
+  return async (a, b) => {
+    const order = await cmp(a.key, b.key);
+    return order < 0 || (order === 0 && a.index < b.index);
+  };
+}
+
+// Converts a spilled member or entry to JSON, writing `undefined` as an empty line, which JSON
+// never produces, so that it survives the round trip
+function serializeJson(x) {
+  return x === undefined ? '' : JSON.stringify(x);
+}
+
+function deserializeJson(line) {
+  return line === '' ? undefined : JSON.parse(line);
+}
+
+function checkSortOptions({
+  budget,
+  serialize = serializeJson,
+  deserialize = deserializeJson,
+  tmpdir
+}) {
+  if (budget !== undefined && (!Number.isInteger(budget) || budget < 1)) {
+    throw new Error(`${budget} is not a valid memory budget`);
+  }
+  return { budget, serialize, deserialize, tmpdir };
+}
+
+function* heapSort(entries, cmp) {
+  const heap = new Heap(entryBefore(cmp), entries);
+  while (heap.size() > 0) {
+    yield heap.pop().value;
+  }
+}
+
+// Yields the specified entries in order, like heapSort, but awaits the comparator and yields the
+// entries themselves
+async function* awaitedHeapSort(entries, cmp) {
+  const heap = new AsyncHeap(awaitedEntryBefore(cmp));
+  for (const entry of entries) {
+    await heap.push(entry);
+  }
+  while (heap.size() > 0) {
+    yield await heap.pop();
+  }
+}
+
+module.exports = {
+  entryBefore,
+  awaitedEntryBefore,
+  checkSortOptions,
+  heapSort,
+  awaitedHeapSort
+};
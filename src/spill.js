@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+
+// Sorted runs which do not fit in memory are spilled to files in a temporary directory, with one
+// serialized entry per line, and read back lazily while they are merged.
+
+const CHUNK_SIZE = 64 * 1024;
+
+function runFile(directory, run) {
+  return path.join(directory, `run-${run}.jsonl`);
+}
+
+function serializeRun(values, serialize) {
+  return values.map((value) => `${serialize(value)}\n`).join('');
+}
+
+/**
+ * Creates a temporary directory for spilled runs, producing its path.
+ * @param {string} tmpdir the directory in which to create it
+ */
+function createSpillDirectorySync(tmpdir = os.tmpdir()) {
+  return fs.mkdtempSync(path.join(tmpdir, 'lazy-iters-'));
+}
+
+/**
+ * Removes the specified directory of spilled runs, along with every run in it.
+ * @param {string} directory the directory
+ */
+function removeSpillDirectorySync(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+/**
+ * Writes the specified values to a new run in the specified directory, producing its path.
+ * @param {string} directory the directory of spilled runs
+ * @param {number} run the number of the run
+ * @param {Array} values the values, in order
+ * @param {function} serialize the function converting each value to a single line of text
+ */
+function writeRunSync(directory, run, values, serialize) {
+  const file = runFile(directory, run);
+  fs.writeFileSync(file, serializeRun(values, serialize));
+  return file;
+}
+
+/**
+ * Reads the values of the run in the specified file lazily, in chunks.
+ * @param {string} file the path of the run
+ * @param {function} deserialize the function converting each line back into a value
+ */
+function* readRunSync(file, deserialize) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const chunk = Buffer.alloc(CHUNK_SIZE);
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+    while (true) {
+      const read = fs.readSync(fd, chunk, 0, chunk.length, null);
+      if (read === 0) {
+        break;
+      }
+      const lines = (rest + decoder.write(chunk.subarray(0, read))).split('\n');
+      rest = lines.pop();
+      for (const line of lines) {
+        yield deserialize(line);
+      }
+    }
+    rest += decoder.end();
+    if (rest.length > 0) {
+      yield deserialize(rest);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Creates a temporary directory for spilled runs, producing a promise of its path.
+ * @param {string} tmpdir the directory in which to create it
+ */
+function createSpillDirectory(tmpdir = os.tmpdir()) {
+  return fs.promises.mkdtemp(path.join(tmpdir, 'lazy-iters-'));
+}
+
+/**
+ * Removes the specified directory of spilled runs, along with every run in it.
+ * @param {string} directory the directory
+ */
+function removeSpillDirectory(directory) {
+  return fs.promises.rm(directory, { recursive: true, force: true });
+}
+
+/**
+ * Writes the specified values to a new run in the specified directory, producing a promise of its
+ * path.
+ * @param {string} directory the directory of spilled runs
+ * @param {number} run the number of the run
+ * @param {Array} values the values, in order
+ * @param {function} serialize the function converting each value to a single line of text
+ */
+async function writeRun(directory, run, values, serialize) {
+  const file = runFile(directory, run);
+  await fs.promises.writeFile(file, serializeRun(values, serialize));
+  return file;
+}
+
+/**
+ * Reads the values of the run in the specified file lazily, as a stream.
+ * @param {string} file the path of the run
+ * @param {function} deserialize the function converting each line back into a value
+ */
+async function* readRun(file, deserialize) {
+  const input = fs.createReadStream(file, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      yield deserialize(line);
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+module.exports = {
+  createSpillDirectorySync,
+  removeSpillDirectorySync,
+  writeRunSync,
+  readRunSync,
+  createSpillDirectory,
+  removeSpillDirectory,
+  writeRun,
+  readRun
+};
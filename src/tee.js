@@ -0,0 +1,85 @@
+// The state shared by the consumers of a tee. Members pulled from the source are buffered until
+// every active consumer has reached them. `offset` is the position of the first buffered member,
+// which is stored at `buffer[start]`; the slots before `start` are only dropped from the array once
+// they make up half of it, so that trimming costs constant time per member.
+
+const COMPACT_AT = 1024;
+
+function teeState(source, n) {
+  const consumers = [];
+  for (let i = 0; i < n; i++) {
+    consumers.push({ pos: 0, active: true });
+  }
+  return {
+    source,
+    consumers,
+    buffer: [],
+    start: 0,
+    offset: 0,
+    done: false,
+    failed: false,
+    error: undefined
+  };
+}
+
+// Produces the position just past the last buffered member
+function teeEnd(state) {
+  return state.offset + state.buffer.length - state.start;
+}
+
+// Drops the members every active consumer has passed. The first buffered member is only passed
+// once the slowest consumer moves, so this is only called when that may have happened.
+function trimTee(state) {
+  let min = teeEnd(state);
+  for (const consumer of state.consumers) {
+    if (consumer.active && consumer.pos < min) {
+      min = consumer.pos;
+    }
+  }
+  for (; state.offset < min; state.offset++) {
+    state.buffer[state.start] = undefined;
+    state.start++;
+  }
+  if (state.start >= COMPACT_AT && state.start * 2 >= state.buffer.length) {
+    state.buffer = state.buffer.slice(state.start);
+    state.start = 0;
+  }
+}
+
+// Produces the member at the position of the specified consumer, which must be buffered, and
+// moves the consumer past it
+function takeTee(state, consumer) {
+  const value = state.buffer[state.start + consumer.pos - state.offset];
+  consumer.pos++;
+  if (consumer.pos - 1 === state.offset) {
+    trimTee(state);
+  }
+  return value;
+}
+
+function releaseTee(state, consumer) {
+  consumer.active = false;
+  trimTee(state);
+}
+
+// Throws if pulling a new member for the specified consumer would make the buffer larger than the
+// maximum size, counting only members that some other consumer has yet to reach
+function checkTeeBuffer(state, consumer, maxBuffer) {
+  let min = consumer.pos + 1;
+  for (const other of state.consumers) {
+    if (other.active && other !== consumer && other.pos < min) {
+      min = other.pos;
+    }
+  }
+  if (teeEnd(state) + 1 - min > maxBuffer) {
+    throw new Error(`tee buffer exceeded ${maxBuffer} members`);
+  }
+}
+
+module.exports = {
+  teeState,
+  teeEnd,
+  takeTee,
+  releaseTee,
+  checkTeeBuffer
+};
@@ -0,0 +1,25 @@
+const { parentPort, workerData } = require('worker_threads');
+
+// The entry point of each worker thread started by a `WorkerPool`. It loads the function to
+// execute, then answers each message from the pool with the result of executing the function on
+// the message, or with the error it threw.
+
+function loadFunction({ file, name }) {
+  const exported = require(file);
+  const f = name === undefined ? exported : exported[name];
+  if (typeof f !== 'function') {
+    throw new Error(`${name === undefined ? file : `${file}#${name}`} is not a function`);
+  }
+  return f;
+}
+
+const f = loadFunction(workerData);
+
+parentPort.on('message', async (value) => {
+  try {
+    parentPort.postMessage({ value: await f(value) });
+  } catch (error) {
+    const { name, message, stack } = error instanceof Error ? error : new Error(String(error));
+    parentPort.postMessage({ error: { name, message, stack } });
+  }
+});
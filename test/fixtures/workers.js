@@ -0,0 +1,39 @@
+const { threadId } = require('worker_threads');
+
+// Functions executed in worker threads by the tests of `parallelMap`
+
+function square(x) {
+  return x * x;
+}
+
+function sleepThenEcho(ms) {
+  return new Promise(resolve => setTimeout(() => resolve(ms), ms));
+}
+
+function thread() {
+  return threadId;
+}
+
+function fail(x) {
+  throw new Error(`cannot process ${x}`);
+}
+
+function crashOn(x) {
+  if (x == 3) {
+    process.exit(7);
+  }
+  return x;
+}
+
+function spin() {
+  while (true) {
+    // Never finishes, so that the worker must be terminated
+  }
+}
+
+module.exports = square;
+module.exports.sleepThenEcho = sleepThenEcho;
+module.exports.thread = thread;
+module.exports.fail = fail;
+module.exports.crashOn = crashOn;
+module.exports.spin = spin;
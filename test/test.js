@@ -1,5 +1,78 @@
 const assert = require('assert');
-const { asyncIterator, iterator, positives, negatives } = require('../src/lib');
+const { execFileSync } = require('child_process');
+const { getEventListeners } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable, Writable } = require('stream');
+const {
+  asyncIterator,
+  iterator,
+  collectors,
+  operators,
+  pipe,
+  positives,
+  negatives,
+  range,
+  repeat,
+  repeatWith,
+  iterate,
+  unfold,
+  successors,
+  empty,
+  once,
+  entries,
+  keys,
+  values,
+  virtualScheduler,
+  AbortError,
+  TimeoutError,
+  WorkerError
+} = require('../src/lib');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function* asyncFrom(list) {
+  for (const x of list) {
+    yield x;
+  }
+}
+
+// Produces an endless source counting from 1 as `state.iter`, which counts in `state.closed` the
+// times it was closed. The source is asynchronous if `async` is true.
+function tracked(async = false) {
+  const state = { closed: 0 };
+  const iter = (function* counting() {
+    try {
+      for (let i = 1; true; i++) {
+        yield i;
+      }
+    } finally {
+      state.closed++;
+    }
+  })();
+  state.iter = async ? asyncFrom(iter) : iter;
+  return state;
+}
+
+function after(scheduler, ms) {
+  return new Promise(resolve => scheduler.setTimeout(resolve, ms));
+}
+
+// Yields each value after waiting the paired number of milliseconds on the specified scheduler,
+// calling `onClose` once it finishes or is closed
+async function* timed(scheduler, entries, onClose = () => {}) {
+  try {
+    for (const [ms, x] of entries) {
+      await after(scheduler, ms);
+      yield x;
+    }
+  } finally {
+    onClose();
+  }
+}
 
 describe('iterator(iter)', () => {
   describe('#collect()', () => {
@@ -126,6 +199,112 @@ describe('iterator(iter)', () => {
     });
   });
 
+  describe('#sum() precision', () => {
+    it('should not accumulate rounding errors', () => {
+      const sum = iterator([1e100, 1, -1e100]).sum();
+      assert.equal(sum, 1);
+    });
+
+    it('should sum long streams of floats accurately', () => {
+      const sum = iterator(positives())
+        .take(10000)
+        .map(_ => 0.1)
+        .sum();
+      assert.equal(sum, 1000);
+    });
+
+    it('should sum BigInts exactly', () => {
+      const sum = iterator([2n ** 64n, 1n]).sum();
+      assert.equal(sum, 18446744073709551617n);
+    });
+
+    it('should reject a mix of BigInts and numbers', () => {
+      assert.throws(() => iterator([1n, 1]).sum(), /Cannot mix/);
+    });
+  });
+
+  describe('#product()', () => {
+    it('should return 1 if no elements are yielded', () => {
+      assert.equal(iterator([]).product(), 1);
+    });
+
+    it('should multiply elements of the iterator', () => {
+      assert.equal(iterator([2, 3, 4]).product(), 24);
+      assert.equal(iterator([2n, 3n, 4n]).product(), 24n);
+    });
+  });
+
+  describe('#average()', () => {
+    it('should return undefined if no elements are yielded', () => {
+      assert.equal(iterator([]).average(), undefined);
+    });
+
+    it('should average elements of the iterator', () => {
+      assert.equal(iterator([1, 2, 3, 4]).average(), 2.5);
+      assert.equal(iterator([1n, 2n, 4n]).average(), 2n);
+    });
+  });
+
+  describe('#stats()', () => {
+    it('should compute statistics in a single pass', () => {
+      let pulled = 0;
+      const stats = iterator([2, 4, 4, 4, 5, 5, 7, 9])
+        .use(_ => pulled++)
+        .stats();
+      assert.deepEqual(stats, { count: 8, mean: 5, variance: 4, min: 2, max: 9 });
+      assert.equal(pulled, 8);
+    });
+
+    it('should handle an empty iterator', () => {
+      const stats = iterator([]).stats();
+      assert.deepEqual(stats, {
+        count: 0,
+        mean: undefined,
+        variance: undefined,
+        min: undefined,
+        max: undefined
+      });
+    });
+
+    it('should keep BigInt extremes', () => {
+      const stats = iterator([1n, 3n]).stats();
+      assert.equal(stats.mean, 2);
+      assert.equal(stats.min, 1n);
+      assert.equal(stats.max, 3n);
+    });
+  });
+
+  describe('#min(cmp) and #max(cmp)', () => {
+    it('should return undefined if no elements are yielded', () => {
+      assert.equal(iterator([]).min(), undefined);
+      assert.equal(iterator([]).max(), undefined);
+    });
+
+    it('should find the extremes', () => {
+      assert.equal(iterator([3, 1, 2]).min(), 1);
+      assert.equal(iterator([3, 1, 2]).max(), 3);
+      assert.equal(iterator([3n, 10n]).max(), 10n);
+    });
+
+    it('should use the comparator', () => {
+      const byLength = (a, b) => a.length - b.length;
+      assert.equal(iterator(['ccc', 'a', 'bb']).min(byLength), 'a');
+      assert.equal(iterator(['ccc', 'a', 'bb']).max(byLength), 'ccc');
+    });
+  });
+
+  describe('#minBy(keyFn) and #maxBy(keyFn)', () => {
+    it('should compare keys and return the first extreme element', () => {
+      const people = [
+        { name: 'a', age: 30 },
+        { name: 'b', age: 20 },
+        { name: 'c', age: 20 }
+      ];
+      assert.equal(iterator(people).minBy(p => p.age).name, 'b');
+      assert.equal(iterator(people).maxBy(p => p.age).name, 'a');
+    });
+  });
+
   describe('#count()', () => {
     it('should count elements in the iterator', () => {
       const iter = iterator([1, 2, 3]);
@@ -197,6 +376,3170 @@ describe('iterator(iter)', () => {
       assert.deepEqual(sample, expected);
     });
   });
+
+  describe('#chunk(n)', () => {
+    it('should group members into lists of n', () => {
+      const chunks = iterator([1, 2, 3, 4, 5]).chunk(2).collect();
+      assert.deepEqual(chunks, [[1, 2], [3, 4], [5]]);
+    });
+
+    it('should work for infinite generators', () => {
+      const chunks = iterator(positives()).chunk(3).take(2).collect();
+      assert.deepEqual(chunks, [[1, 2, 3], [4, 5, 6]]);
+    });
+
+    it('should reject an invalid size', () => {
+      assert.throws(() => iterator([1]).chunk(0));
+    });
+  });
+
+  describe('#windows(size, step)', () => {
+    it('should yield sliding windows', () => {
+      const windows = iterator([1, 2, 3, 4]).windows(2).collect();
+      assert.deepEqual(windows, [[1, 2], [2, 3], [3, 4]]);
+    });
+
+    it('should yield tumbling windows when the step equals the size', () => {
+      const windows = iterator([1, 2, 3, 4, 5]).windows(2, 2).collect();
+      assert.deepEqual(windows, [[1, 2], [3, 4]]);
+    });
+
+    it('should skip members when the step exceeds the size', () => {
+      const windows = iterator([1, 2, 3, 4, 5, 6, 7]).windows(2, 3).collect();
+      assert.deepEqual(windows, [[1, 2], [4, 5]]);
+    });
+
+    it('should yield nothing if there are fewer members than the size', () => {
+      assert.deepEqual(iterator([1, 2]).windows(3).collect(), []);
+    });
+
+    it('should compute sliding aggregates', () => {
+      const sums = iterator([1, 2, 3, 4])
+        .windows(3)
+        .map(window => iterator(window).sum())
+        .collect();
+      assert.deepEqual(sums, [6, 9]);
+    });
+  });
+
+  describe('#chunkBy(keyFn)', () => {
+    it('should group consecutive members with the same key', () => {
+      const chunks = iterator([1, 3, 2, 4, 5, 6])
+        .chunkBy(x => x % 2)
+        .collect();
+      assert.deepEqual(chunks, [[1, 3], [2, 4], [5], [6]]);
+    });
+
+    it('should yield nothing for an empty iterator', () => {
+      assert.deepEqual(iterator([]).chunkBy(x => x).collect(), []);
+    });
+  });
+
+  describe('#peekable()', () => {
+    it('should look ahead without consuming members', () => {
+      const iter = iterator([1, 2, 3]).peekable();
+      assert.equal(iter.peek(), 1);
+      assert.equal(iter.peek(), 1);
+      assert.deepEqual(iter.peekN(2), [1, 2]);
+      assert.deepEqual(iter.next(), { done: false, value: 1 });
+      assert.deepEqual(iter.peekN(5), [2, 3]);
+    });
+
+    it('should produce undefined when peeking past the end', () => {
+      const iter = iterator([]).peekable();
+      assert.equal(iter.peek(), undefined);
+      assert.deepEqual(iter.next(), { done: true, value: undefined });
+    });
+
+    it('should consume members conditionally', () => {
+      const iter = iterator('12+3').peekable();
+      const isDigit = c => c >= '0' && c <= '9';
+      assert.deepEqual(iter.nextWhile(isDigit), ['1', '2']);
+      assert.equal(iter.nextIf(isDigit), undefined);
+      assert.equal(
+        iter.nextIf(c => c === '+'),
+        '+'
+      );
+      assert.deepEqual(iter.nextWhile(isDigit), ['3']);
+      assert.deepEqual(iter.nextWhile(isDigit), []);
+    });
+
+    it('should tokenize input', () => {
+      const chars = iterator('ab 12 c').peekable();
+      const tokens = [];
+      while (chars.peek() !== undefined) {
+        if (chars.nextIf(c => c === ' ') === undefined) {
+          tokens.push(chars.nextWhile(c => c !== ' ').join(''));
+        }
+      }
+      assert.deepEqual(tokens, ['ab', '12', 'c']);
+    });
+
+    it('should include buffered members in other operations', () => {
+      const iter = iterator([1, 2, 3, 4]).peekable();
+      iter.peekN(3);
+      iter.next();
+      assert.deepEqual(iter.map(x => x * 10).collect(), [20, 30, 40]);
+    });
+
+    it('should work with every adapter', () => {
+      const iter = iterator([3, 1, 2]).peekable();
+      assert.equal(iter.peek(), 3);
+      const result = iter
+        .filter(x => x > 1)
+        .enumerate()
+        .take(5)
+        .collect();
+      assert.deepEqual(result, [
+        [3, 0],
+        [2, 1]
+      ]);
+    });
+
+    it('should close the source when closed', () => {
+      let closed = false;
+      const source = iterator([1, 2, 3]).onFinally(() => {
+        closed = true;
+      });
+      const iter = source.peekable();
+      iter.peek();
+      assert.equal(iter.first(), 1);
+      assert.equal(closed, true);
+    });
+  });
+
+  describe('#tee(n, options)', () => {
+    it('should produce independent iterators over the same members', () => {
+      const [a, b] = iterator([1, 2, 3]).tee();
+      assert.equal(a.sum(), 6);
+      assert.equal(b.max(), 3);
+    });
+
+    it('should pull each member from the source once', () => {
+      let pulled = 0;
+      const [a, b, c] = iterator([1, 2, 3])
+        .use(_ => pulled++)
+        .tee(3);
+      assert.deepEqual(a.collect(), [1, 2, 3]);
+      assert.deepEqual(b.take(1).collect(), [1]);
+      assert.deepEqual(c.collect(), [1, 2, 3]);
+      assert.equal(pulled, 3);
+    });
+
+    it('should only buffer the gap between consumers', () => {
+      const [a, b] = iterator(positives()).tee(2, { maxBuffer: 2 });
+      const pairs = a
+        .zip(b)
+        .take(1000)
+        .collect();
+      assert.equal(pairs.length, 1000);
+      assert.ok(pairs.every(([x, y]) => x === y));
+    });
+
+    it('should let one consumer fall far behind another', () => {
+      const [a, b] = range(0, 10000).tee(2);
+      assert.equal(a.sum(), 49995000);
+      assert.deepEqual(b.take(3).collect(), [0, 1, 2]);
+      const [c, d] = range(0, 10000).tee(2);
+      const iter = c.iterator();
+      for (let i = 0; i < 5000; i++) {
+        iter.next();
+      }
+      const pairs = d.skip(4998).zip(c);
+      assert.deepEqual(pairs.first(), [4998, 5000]);
+    });
+
+    it('should throw when the buffer would exceed its maximum size', () => {
+      const [a] = iterator(positives()).tee(2, { maxBuffer: 3 });
+      const iter = a.iterator();
+      assert.deepEqual(
+        [iter.next(), iter.next(), iter.next()].map(r => r.value),
+        [1, 2, 3]
+      );
+      assert.throws(() => iter.next(), /tee buffer exceeded 3 members/);
+    });
+
+    it('should not buffer for consumers that have been closed', () => {
+      const [a, b] = iterator(positives()).tee(2, { maxBuffer: 1 });
+      b.first();
+      a.iterator().next();
+      b.iterator().return();
+      assert.deepEqual(a.take(5).collect(), [2, 3, 4, 5, 6]);
+    });
+
+    it('should close the source once every consumer is closed', () => {
+      let closed = false;
+      const [a, b] = iterator(positives())
+        .onFinally(() => {
+          closed = true;
+        })
+        .tee();
+      a.first();
+      assert.equal(closed, false);
+      b.first();
+      assert.equal(closed, true);
+    });
+
+    it('should rethrow source errors to every consumer', () => {
+      function* failing() {
+        yield 1;
+        throw new Error('failed');
+      }
+      const [a, b] = iterator(failing()).tee();
+      assert.throws(() => a.collect(), /failed/);
+      assert.throws(() => b.collect(), /failed/);
+    });
+  });
+
+  describe('#takeWhile(predicate)', () => {
+    it('should stop at the first member failing the predicate', () => {
+      const taken = iterator([1, 2, 5, 1])
+        .takeWhile(x => x < 3)
+        .collect();
+      assert.deepEqual(taken, [1, 2]);
+    });
+
+    it('should work for infinite generators', () => {
+      const taken = iterator(positives())
+        .takeWhile(x => x * x < 20)
+        .collect();
+      assert.deepEqual(taken, [1, 2, 3, 4]);
+    });
+  });
+
+  describe('#skipWhile(predicate)', () => {
+    it('should skip leading members satisfying the predicate', () => {
+      const rest = iterator([1, 2, 5, 1])
+        .skipWhile(x => x < 3)
+        .collect();
+      assert.deepEqual(rest, [5, 1]);
+    });
+  });
+
+  describe('#mapWhile(f)', () => {
+    it('should stop once the function produces undefined', () => {
+      const parsed = iterator(['1', '2', 'x', '3'])
+        .mapWhile(s => (isNaN(s) ? undefined : Number(s)))
+        .collect();
+      assert.deepEqual(parsed, [1, 2]);
+    });
+  });
+
+  describe('#scan(init, f)', () => {
+    it('should yield running states', () => {
+      const totals = iterator([1, 2, 3])
+        .scan(0, (sum, x) => sum + x)
+        .collect();
+      assert.deepEqual(totals, [1, 3, 6]);
+    });
+  });
+
+  describe('#stepBy(n)', () => {
+    it('should yield the first member and every nth member after it', () => {
+      const stepped = iterator([0, 1, 2, 3, 4, 5, 6])
+        .stepBy(3)
+        .collect();
+      assert.deepEqual(stepped, [0, 3, 6]);
+    });
+
+    it('should reject an invalid step', () => {
+      assert.throws(() => iterator([1]).stepBy(0));
+    });
+  });
+
+  describe('#chain(...others)', () => {
+    it('should yield the members of each iterator in turn', () => {
+      const chained = iterator([1, 2])
+        .chain([3], iterator([4, 5]), new Set([6]))
+        .collect();
+      assert.deepEqual(chained, [1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should not start later iterators until they are reached', () => {
+      let started = false;
+      function* later() {
+        started = true;
+        yield 3;
+      }
+      const first = iterator([1, 2])
+        .chain(later())
+        .take(2)
+        .collect();
+      assert.deepEqual(first, [1, 2]);
+      assert.equal(started, false);
+    });
+  });
+
+  describe('#fuse()', () => {
+    it('should stay exhausted once exhausted', () => {
+      let i = 0;
+      const flaky = {
+        next: () => (i++ % 2 == 0 ? { done: true } : { done: false, value: i }),
+        [Symbol.iterator]() {
+          return this;
+        }
+      };
+      const iter = iterator(flaky)
+        .fuse()
+        .iterator();
+      assert.equal(iter.next().done, true);
+      assert.equal(iter.next().done, true);
+      assert.equal(i, 1);
+    });
+  });
+
+  describe('#cartesianProduct(...others)', () => {
+    it('should yield every combination of one member from each iterator', () => {
+      const pairs = iterator([1, 2])
+        .cartesianProduct('ab', [true])
+        .collect();
+      assert.deepEqual(pairs, [
+        [1, 'a', true],
+        [1, 'b', true],
+        [2, 'a', true],
+        [2, 'b', true]
+      ]);
+    });
+
+    it('should stream this iterator', () => {
+      const pairs = range(1, Infinity)
+        .cartesianProduct(['x'])
+        .take(2)
+        .collect();
+      assert.deepEqual(pairs, [
+        [1, 'x'],
+        [2, 'x']
+      ]);
+    });
+
+    it('should yield nothing if any iterator is empty', () => {
+      assert.deepEqual(
+        iterator([1, 2])
+          .cartesianProduct([])
+          .collect(),
+        []
+      );
+    });
+  });
+
+  describe('#permutations(k)', () => {
+    it('should yield orderings of k members', () => {
+      const perms = iterator('abc')
+        .permutations(2)
+        .collect();
+      assert.deepEqual(perms, [
+        ['a', 'b'],
+        ['a', 'c'],
+        ['b', 'a'],
+        ['b', 'c'],
+        ['c', 'a'],
+        ['c', 'b']
+      ]);
+    });
+
+    it('should default to every member', () => {
+      assert.equal(
+        iterator([1, 2, 3, 4])
+          .permutations()
+          .count(),
+        24
+      );
+    });
+
+    it('should yield nothing if k exceeds the number of members', () => {
+      assert.deepEqual(
+        iterator([1, 2])
+          .permutations(3)
+          .collect(),
+        []
+      );
+    });
+  });
+
+  describe('#combinations(k)', () => {
+    it('should yield selections of k members', () => {
+      const combos = iterator('abcd')
+        .combinations(2)
+        .map(combo => combo.join(''))
+        .collect();
+      assert.deepEqual(combos, ['ab', 'ac', 'bc', 'ad', 'bd', 'cd']);
+    });
+
+    it('should support infinite iterators', () => {
+      const combos = range(1, Infinity)
+        .combinations(3)
+        .take(4)
+        .collect();
+      assert.deepEqual(combos, [
+        [1, 2, 3],
+        [1, 2, 4],
+        [1, 3, 4],
+        [2, 3, 4]
+      ]);
+    });
+
+    it('should yield a single empty combination when k is 0', () => {
+      assert.deepEqual(
+        iterator([1, 2])
+          .combinations(0)
+          .collect(),
+        [[]]
+      );
+    });
+
+    it('should reject an invalid size', () => {
+      assert.throws(() => iterator([1]).combinations(-1));
+    });
+  });
+
+  describe('#combinationsWithReplacement(k)', () => {
+    it('should yield selections of k members with repetition', () => {
+      const combos = iterator('abc')
+        .combinationsWithReplacement(2)
+        .map(combo => combo.join(''))
+        .collect();
+      assert.deepEqual(combos, ['aa', 'ab', 'bb', 'ac', 'bc', 'cc']);
+    });
+  });
+
+  describe('#powerset()', () => {
+    it('should yield every subset', () => {
+      const subsets = iterator('abc')
+        .powerset()
+        .map(subset => subset.join(''))
+        .collect();
+      assert.deepEqual(subsets, ['', 'a', 'b', 'ab', 'c', 'ac', 'bc', 'abc']);
+    });
+
+    it('should support infinite iterators', () => {
+      const subsets = range(1, Infinity)
+        .powerset()
+        .take(4)
+        .collect();
+      assert.deepEqual(subsets, [[], [1], [2], [1, 2]]);
+    });
+  });
+
+  describe('#unique(keyFn)', () => {
+    it('should yield the first member with each key', () => {
+      assert.deepEqual(
+        iterator([1, 2, 1, 3, 2])
+          .unique()
+          .collect(),
+        [1, 2, 3]
+      );
+      const words = iterator(['a', 'B', 'A', 'b', 'c'])
+        .unique(s => s.toLowerCase())
+        .collect();
+      assert.deepEqual(words, ['a', 'B', 'c']);
+    });
+  });
+
+  describe('#dedupe(keyFn)', () => {
+    it('should drop consecutive duplicates', () => {
+      assert.deepEqual(
+        iterator([1, 1, 2, 1, 1, NaN, NaN])
+          .dedupe()
+          .collect(),
+        [1, 2, 1, NaN]
+      );
+    });
+
+    it('should compare keys', () => {
+      const deduped = iterator(['a', 'A', 'b', 'a'])
+        .dedupe(s => s.toLowerCase())
+        .collect();
+      assert.deepEqual(deduped, ['a', 'b', 'a']);
+    });
+  });
+
+  describe('sorted set operations', () => {
+    const a = [1, 3, 5, 7, 7];
+    const b = [2, 3, 4, 7];
+    const c = [3, 7, 9];
+
+    it('should merge sorted iterators with #mergeSorted(...others)', () => {
+      const merged = iterator(a)
+        .mergeSorted(b, iterator(c))
+        .collect();
+      assert.deepEqual(merged, [1, 2, 3, 3, 3, 4, 5, 7, 7, 7, 7, 9]);
+    });
+
+    it('should yield each member once with #unionSorted(...others)', () => {
+      assert.deepEqual(
+        iterator(a)
+          .unionSorted(b, c)
+          .collect(),
+        [1, 2, 3, 4, 5, 7, 9]
+      );
+    });
+
+    it('should yield common members with #intersectSorted(...others)', () => {
+      assert.deepEqual(
+        iterator(a)
+          .intersectSorted(b, c)
+          .collect(),
+        [3, 7]
+      );
+    });
+
+    it('should yield members of this iterator only with #differenceSorted(...others)', () => {
+      assert.deepEqual(
+        iterator(a)
+          .differenceSorted(b, c)
+          .collect(),
+        [1, 5]
+      );
+    });
+
+    it('should accept a comparator as the last argument', () => {
+      const merged = iterator([5, 3, 1])
+        .mergeSorted([4, 2], (x, y) => y - x)
+        .collect();
+      assert.deepEqual(merged, [5, 4, 3, 2, 1]);
+    });
+
+    it('should support infinite iterators', () => {
+      const evens = range(0, Infinity, 2);
+      const threes = range(0, Infinity, 3);
+      assert.deepEqual(
+        evens
+          .intersectSorted(threes)
+          .take(3)
+          .collect(),
+        [0, 6, 12]
+      );
+    });
+  });
+
+  describe('sorting and selection', () => {
+    it('should sort lazily with #sorted(cmp)', () => {
+      let pulled = 0;
+      const sorted = iterator([5, 3, 9, 1, 7])
+        .use(() => pulled++)
+        .sorted();
+      assert.equal(pulled, 0);
+      assert.deepEqual(sorted.take(3).collect(), [1, 3, 5]);
+      assert.deepEqual(
+        iterator([1, 3, 2])
+          .sorted((a, b) => b - a)
+          .collect(),
+        [3, 2, 1]
+      );
+    });
+
+    it('should keep the order of equal members', () => {
+      const words = ['pear', 'fig', 'apple', 'kiwi', 'plum', 'date'];
+      assert.deepEqual(
+        iterator(words)
+          .sortBy(word => word.length)
+          .collect(),
+        ['fig', 'pear', 'kiwi', 'plum', 'date', 'apple']
+      );
+    });
+
+    it('should call the key function of #sortBy(keyFn) once per member', () => {
+      let calls = 0;
+      iterator([3, 1, 2, 5, 4])
+        .sortBy(x => {
+          calls++;
+          return -x;
+        })
+        .collect();
+      assert.equal(calls, 5);
+    });
+
+    it('should select the largest and smallest members with #topK(k) and #bottomK(k)', () => {
+      const xs = [5, 3, 9, 1, 7, 3, 8];
+      assert.deepEqual(
+        iterator(xs)
+          .topK(3)
+          .collect(),
+        [9, 8, 7]
+      );
+      assert.deepEqual(
+        iterator(xs)
+          .bottomK(3)
+          .collect(),
+        [1, 3, 3]
+      );
+      assert.deepEqual(
+        iterator(xs)
+          .bottomK(10)
+          .collect(),
+        [1, 3, 3, 5, 7, 8, 9]
+      );
+      assert.deepEqual(
+        iterator(xs)
+          .topK(0)
+          .collect(),
+        []
+      );
+      assert.throws(() => iterator(xs).topK(-1), /-1 is not a valid number of members/);
+    });
+
+    it('should prefer earlier members when selecting equal members', () => {
+      const people = [
+        { name: 'a', age: 30 },
+        { name: 'b', age: 40 },
+        { name: 'c', age: 30 },
+        { name: 'd', age: 40 }
+      ];
+      const byAge = (x, y) => x.age - y.age;
+      const names = iter => iter.collect().map(person => person.name);
+      assert.deepEqual(names(iterator(people).topK(3, byAge)), ['b', 'd', 'a']);
+      assert.deepEqual(names(iterator(people).bottomK(3, byAge)), ['a', 'c', 'b']);
+    });
+
+    it('should merge sorted runs with #kWayMerge(cmp)', () => {
+      const runs = iterator([[1, 4, 7], range(2, 9, 3), [], [0, 3, 6, 9]]);
+      assert.deepEqual(runs.kWayMerge().collect(), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      assert.deepEqual(
+        iterator([
+          [5, 1],
+          [4, 2]
+        ])
+          .kWayMerge((a, b) => b - a)
+          .collect(),
+        [5, 4, 2, 1]
+      );
+    });
+
+    it('should close the runs of #kWayMerge(cmp) when closed early', () => {
+      let closed = 0;
+      const runs = [0, 1, 2].map(i =>
+        range(i, Infinity, 3).onFinally(() => {
+          closed++;
+        })
+      );
+      assert.deepEqual(
+        iterator(runs)
+          .kWayMerge()
+          .take(4)
+          .collect(),
+        [0, 1, 2, 3]
+      );
+      assert.equal(closed, 3);
+    });
+
+    it('should spill sorted runs when the input exceeds the memory budget', () => {
+      const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'sorted-'));
+      const xs = range(0, 100).map(x => (x * 37) % 100);
+      const sorted = xs.sorted(undefined, { budget: 16, tmpdir })[Symbol.iterator]();
+      assert.deepEqual(sorted.next(), { done: false, value: 0 });
+      const [directory] = fs.readdirSync(tmpdir);
+      assert.equal(fs.readdirSync(path.join(tmpdir, directory)).length, 6);
+      assert.deepEqual(iterator(sorted).collect(), range(1, 100).collect());
+      assert.deepEqual(fs.readdirSync(tmpdir), []);
+      fs.rmdirSync(tmpdir);
+    });
+
+    it('should remove spilled runs when closed early', () => {
+      const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'sorted-'));
+      const first = range(0, 100)
+        .map(x => (x * 37) % 100)
+        .sorted(undefined, { budget: 16, tmpdir })
+        .take(2)
+        .collect();
+      assert.deepEqual(first, [0, 1]);
+      assert.deepEqual(fs.readdirSync(tmpdir), []);
+      fs.rmdirSync(tmpdir);
+    });
+
+    it('should sort stably by key when spilling', () => {
+      const words = ['pear', 'fig', 'apple', 'kiwi', 'plum', 'date', 'banana'];
+      assert.deepEqual(
+        iterator(words)
+          .sortBy(word => word.length, undefined, { budget: 2 })
+          .collect(),
+        ['fig', 'pear', 'kiwi', 'plum', 'date', 'apple', 'banana']
+      );
+    });
+
+    it('should use the specified serialization', () => {
+      const dates = [3, 1, 2].map(day => new Date(Date.UTC(2020, 0, day)));
+      const sorted = iterator(dates)
+        .sorted((a, b) => a - b, {
+          budget: 1,
+          serialize: date => date.toISOString(),
+          deserialize: line => new Date(line)
+        })
+        .collect();
+      assert.deepEqual(
+        sorted.map(date => date.getUTCDate()),
+        [1, 2, 3]
+      );
+    });
+
+    it('should keep undefined members through a spill', () => {
+      const cmp = (a, b) => String(a).localeCompare(String(b));
+      const sorted = iterator([3, undefined, 1])
+        .sorted(cmp, { budget: 1 })
+        .collect();
+      assert.deepEqual(sorted, [1, 3, undefined]);
+    });
+
+    it('should spill keys without calling the key function again', () => {
+      let calls = 0;
+      const keyFn = x => {
+        calls++;
+        return x === undefined ? 0 : x;
+      };
+      const sorted = iterator([3, undefined, 1, undefined, 2])
+        .sortBy(keyFn, undefined, { budget: 2 })
+        .collect();
+      assert.deepEqual(sorted, [undefined, undefined, 1, 2, 3]);
+      assert.equal(calls, 5);
+    });
+
+    it('should reject an invalid memory budget', () => {
+      assert.throws(
+        () => iterator([1]).sorted(undefined, { budget: 0 }),
+        /0 is not a valid memory budget/
+      );
+    });
+  });
+
+  describe('#sizeHint()', () => {
+    it('should be exact for arrays and typed arrays', () => {
+      assert.deepEqual(iterator([1, 2, 3]).sizeHint(), { lower: 3, upper: 3 });
+      assert.deepEqual(iterator(new Uint8Array(4)).sizeHint(), { lower: 4, upper: 4 });
+    });
+
+    it('should propagate through length-preserving adapters', () => {
+      const iter = iterator([1, 2, 3, 4, 5, 6])
+        .map(x => x * 2)
+        .skip(1)
+        .take(4)
+        .enumerate()
+        .zip(new Float64Array(3));
+      assert.deepEqual(iter.sizeHint(), { lower: 3, upper: 3 });
+      assert.deepEqual(
+        iterator([1, 2, 3, 4, 5])
+          .stepBy(2)
+          .sizeHint(),
+        { lower: 3, upper: 3 }
+      );
+    });
+
+    it('should be unknown for other iterators', () => {
+      assert.deepEqual(iterator(positives()).sizeHint(), { lower: 0, upper: undefined });
+      assert.deepEqual(
+        iterator([1, 2])
+          .filter(x => x > 1)
+          .sizeHint(),
+        {
+          lower: 0,
+          upper: undefined
+        }
+      );
+    });
+  });
+
+  describe('constant-time terminals', () => {
+    it('should count indexed iterators without iterating', () => {
+      let calls = 0;
+      const count = iterator(new Array(1e6).fill(0))
+        .map(x => {
+          calls++;
+          return x;
+        })
+        .skip(10)
+        .count();
+      assert.equal(count, 1e6 - 10);
+      assert.equal(calls, 0);
+    });
+
+    it('should access the nth member directly', () => {
+      let calls = 0;
+      const iter = iterator([1, 2, 3, 4]).map(x => {
+        calls++;
+        return x * 10;
+      });
+      assert.equal(iter.nth(2), 30);
+      assert.equal(calls, 1);
+      assert.equal(iterator([1, 2]).nth(5), undefined);
+    });
+
+    it('should produce the last member', () => {
+      assert.equal(iterator([1, 2, 3]).last(), 3);
+      assert.equal(iterator([]).last(), undefined);
+      assert.equal(
+        iterator(positives())
+          .take(5)
+          .filter(x => x % 2 == 0)
+          .last(),
+        4
+      );
+    });
+
+    it('should collect indexed iterators into lists of the right size', () => {
+      const collected = iterator([1, 2, 3])
+        .map(x => x + 1)
+        .collect();
+      assert.deepEqual(collected, [2, 3, 4]);
+      assert.equal(collected.length, 3);
+    });
+
+    it('should account for members already pulled', () => {
+      const taken = iterator([1, 2, 3, 4]).take(3);
+      const members = taken[Symbol.iterator]();
+      members.next();
+      members.next();
+      assert.equal(taken.count(), 1);
+      const mapped = iterator([1, 2, 3, 4]).map(x => x * 10);
+      const source = mapped.iterator();
+      source.next();
+      assert.deepEqual(mapped.sizeHint(), { lower: 0, upper: undefined });
+      assert.equal(mapped.nth(0), 20);
+      const numbers = range(0, 5);
+      numbers.first();
+      assert.equal(numbers.count(), numbers.collect().length);
+    });
+
+    it('should round fractional counts like iterators without positions', () => {
+      function* members() {
+        yield* [1, 2, 3, 4];
+      }
+      const sources = [() => iterator([1, 2, 3, 4]), () => iterator(members())];
+      sources.forEach(source => {
+        const taken = () => source().take(2.5);
+        assert.deepEqual(taken().collect(), [1, 2, 3]);
+        assert.equal(taken().count(), 3);
+        const mapped = source().map(x => x);
+        assert.deepEqual(mapped.take(1.5).collect(), [1, 2]);
+        const skipped = () => source().skip(1.5);
+        assert.deepEqual(skipped().collect(), [2, 3, 4]);
+        assert.equal(skipped().count(), 3);
+        assert.equal(skipped().nth(0), 2);
+        assert.equal(source().nth(1.5), 2);
+      });
+    });
+
+    it('should count other iterators by iterating', () => {
+      assert.equal(
+        iterator(positives())
+          .take(7)
+          .filter(x => x > 2)
+          .count(),
+        5
+      );
+    });
+  });
+
+  describe('#rev()', () => {
+    it('should reverse double-ended iterators', () => {
+      const reversed = iterator([1, 2, 3, 4])
+        .map(x => x * 2)
+        .take(3)
+        .rev()
+        .collect();
+      assert.deepEqual(reversed, [6, 4, 2]);
+    });
+
+    it('should keep the reversed iterator double-ended', () => {
+      const iter = iterator(new Int16Array([1, 2, 3])).rev();
+      assert.equal(iter.nth(0), 3);
+      assert.deepEqual(iter.rev().collect(), [1, 2, 3]);
+    });
+
+    it('should reject iterators which are not double-ended', () => {
+      assert.throws(() => iterator(positives()).rev(), /not double-ended/);
+    });
+  });
+
+  describe('#[Symbol.iterator]()', () => {
+    it('should iterate over wrapped iterables', () => {
+      const collected = [];
+      for (const x of iterator([1, 2, 3])) {
+        collected.push(x);
+      }
+      assert.deepEqual(collected, [1, 2, 3]);
+    });
+  });
+
+  describe('#toAsync()', () => {
+    it('should produce an async iterator over the same members', async () => {
+      const lookups = await iterator([1, 2, 3])
+        .toAsync()
+        .map(async id => {
+          await sleep(1);
+          return `record ${id}`;
+        })
+        .collect();
+      assert.deepEqual(lookups, ['record 1', 'record 2', 'record 3']);
+    });
+
+    it('should remain lazy', async () => {
+      let i = 0;
+      const iter = iterator([1, 2, 3])
+        .use(_ => i++)
+        .toAsync();
+      assert.equal(i, 0);
+      await iter.take(2).collect();
+      assert.ok(i >= 2);
+    });
+  });
+});
+
+describe('operator fusion', () => {
+  function logged(log, list) {
+    return (function* source() {
+      try {
+        for (const x of list) {
+          log.push(`pull ${x}`);
+          yield x;
+        }
+      } finally {
+        log.push('close');
+      }
+    })();
+  }
+
+  it('should run callbacks in the same order as separate adapters', () => {
+    const log = [];
+    const result = iterator(logged(log, [1, 2, 3, 4, 5, 6]))
+      .map(x => (log.push(`map ${x}`), x * 10))
+      .filter(x => (log.push(`filter ${x}`), x != 20))
+      .use(x => log.push(`use ${x}`))
+      .skip(1)
+      .take(2)
+      .collect();
+    assert.deepEqual(result, [30, 40]);
+    assert.deepEqual(log, [
+      'pull 1',
+      'map 1',
+      'filter 10',
+      'use 10',
+      'pull 2',
+      'map 2',
+      'filter 20',
+      'pull 3',
+      'map 3',
+      'filter 30',
+      'use 30',
+      'pull 4',
+      'map 4',
+      'filter 40',
+      'use 40',
+      'close'
+    ]);
+  });
+
+  it('should stop at a take limit even if later stages drop the member', () => {
+    const log = [];
+    const result = iterator(logged(log, [1, 2, 3]))
+      .take(2)
+      .filter(x => x == 1)
+      .collect();
+    assert.deepEqual(result, [1]);
+    assert.deepEqual(log, ['pull 1', 'pull 2', 'close']);
+  });
+
+  it('should continue from members already consumed', () => {
+    const mapped = iterator([1, 2, 3, 4]).map(x => x * 2);
+    assert.equal(mapped.iterator().next().value, 2);
+    assert.deepEqual(mapped.filter(x => x > 4).collect(), [6, 8]);
+  });
+
+  it('should consume every adapter in the chain', () => {
+    const mapped = iterator([1, 2, 3]).map(x => x * 2);
+    const filtered = mapped.filter(x => x > 2);
+    assert.deepEqual(filtered.collect(), [4, 6]);
+    assert.deepEqual(filtered.collect(), []);
+    assert.deepEqual(mapped.collect(), []);
+  });
+
+  it('should not fuse an adapter already started by a peekable iterator', () => {
+    const skipped = range(1, Infinity).skip(2);
+    assert.equal(skipped.peekable().peek(), 3);
+    assert.deepEqual(skipped.take(2).collect(), [4, 5]);
+  });
+
+  it('should not fuse an adapter already started by an enumerated iterator', () => {
+    const taken = range(1, Infinity).take(3);
+    assert.deepEqual(taken.enumerate().iterator().next().value, [1, 0]);
+    assert.deepEqual(taken.collect(), [2, 3]);
+  });
+});
+
+describe('iterator cleanup', () => {
+  const adapters = {
+    use: iter => iter.use(() => {}),
+    take: iter => iter.take(5),
+    skip: iter => iter.skip(1),
+    map: iter => iter.map(x => x * 2),
+    filter: iter => iter.filter(x => x % 2 == 0),
+    flatMap: iter => iter.flatMap(x => [x, x]),
+    flatten: iter => iter.map(x => [x]).flatten(),
+    loop: iter => iter.loop(),
+    zip: iter => iter.zip([1, 2, 3]),
+    zipWith: iter => iter.zipWith(iterator([1, 2, 3]), (a, b) => a + b),
+    intersperse: iter => iter.intersperse(0),
+    unique: iter => iter.unique(),
+    dedupe: iter => iter.dedupe(),
+    mergeSorted: iter => iter.mergeSorted([0]),
+    unionSorted: iter => iter.unionSorted([0]),
+    intersectSorted: iter => iter.intersectSorted(iterator([1, 2])),
+    differenceSorted: iter => iter.differenceSorted([2]),
+    enumerate: iter => iter.enumerate()
+  };
+
+  Object.keys(adapters).forEach(name => {
+    it(`should close the source of #${name}() when stopped early`, () => {
+      const source = tracked();
+      adapters[name](iterator(source.iter))
+        .take(1)
+        .collect();
+      assert.equal(source.closed, 1);
+    });
+
+    it(`should close the source of #${name}() behind a map when taking nothing`, () => {
+      const source = tracked();
+      const mapped = iterator(source.iter).map(x => x);
+      const taken = adapters[name](mapped).take(0);
+      assert.deepEqual(taken.collect(), []);
+      assert.equal(source.closed, 1);
+    });
+  });
+
+  it('should close the other source of #zip(iter) when stopped early', () => {
+    const source = tracked();
+    iterator([1])
+      .zip(source.iter)
+      .collect();
+    assert.equal(source.closed, 1);
+  });
+
+  it('should close the source of #take(0)', () => {
+    let closed = false;
+    const iter = iterator([1, 2]).onFinally(() => {
+      closed = true;
+    });
+    assert.deepEqual(iter.take(0).collect(), []);
+    assert.equal(closed, true);
+  });
+
+  it('should not pull more members than are taken', () => {
+    let pulled = 0;
+    iterator([1, 2, 3])
+      .use(_ => pulled++)
+      .take(2)
+      .collect();
+    assert.equal(pulled, 2);
+  });
+
+  const terminals = {
+    first: iter => iter.first(),
+    any: iter => iter.any(x => x > 1),
+    all: iter => iter.all(x => x < 2),
+    nth: iter => iter.nth(2)
+  };
+
+  Object.keys(terminals).forEach(name => {
+    it(`should close the source of #${name}() once it has an answer`, () => {
+      const source = tracked();
+      terminals[name](iterator(source.iter));
+      assert.equal(source.closed, 1);
+    });
+  });
+
+  it('should close the source when an error is thrown into the iterator', () => {
+    const source = tracked();
+    const iter = iterator(source.iter)
+      .map(x => x * 2)
+      .iterator();
+    iter.next();
+    assert.throws(() => iter.throw(new Error('stop')), /stop/);
+    assert.equal(source.closed, 1);
+  });
+
+  describe('#onFinally(f)', () => {
+    it('should not run before the iterator is consumed', () => {
+      let runs = 0;
+      iterator([1, 2]).onFinally(() => runs++);
+      assert.equal(runs, 0);
+    });
+
+    it('should run once when the iterator is exhausted', () => {
+      let runs = 0;
+      const iter = iterator([1, 2]).onFinally(() => runs++);
+      assert.deepEqual(iter.collect(), [1, 2]);
+      assert.equal(runs, 1);
+    });
+
+    it('should run once when the iterator throws', () => {
+      let runs = 0;
+      function* failing() {
+        yield 1;
+        throw new Error('failed');
+      }
+      const iter = iterator(failing()).onFinally(() => runs++);
+      assert.throws(() => iter.collect(), /failed/);
+      assert.equal(runs, 1);
+    });
+
+    it('should run once when the iterator is abandoned', () => {
+      let runs = 0;
+      const source = tracked();
+      const found = iterator(source.iter)
+        .onFinally(() => runs++)
+        .map(x => x * 2)
+        .any(x => x > 4);
+      assert.equal(found, true);
+      assert.equal(runs, 1);
+      assert.equal(source.closed, 1);
+    });
+  });
+});
+
+describe('asyncIterator(iter)', () => {
+  describe('construction', () => {
+    it('should accept synchronous iterables', async () => {
+      const collected = await asyncIterator(new Set([1, 2, 3])).collect();
+      assert.deepEqual(collected, [1, 2, 3]);
+    });
+
+    it('should await iterables of promises', async () => {
+      const collected = await asyncIterator([Promise.resolve(1), 2, sleep(1).then(() => 3)])
+        .map(x => x * 2)
+        .collect();
+      assert.deepEqual(collected, [2, 4, 6]);
+    });
+
+    it('should accept array-likes', async () => {
+      const collected = await asyncIterator({ length: 2, 0: 'a', 1: 'b' }).collect();
+      assert.deepEqual(collected, ['a', 'b']);
+    });
+
+    it('should accept lazy iterators', async () => {
+      const collected = await asyncIterator(iterator([1, 2, 3]).map(x => x + 1)).collect();
+      assert.deepEqual(collected, [2, 3, 4]);
+    });
+
+    it('should reject values that cannot be iterated', () => {
+      assert.throws(() => asyncIterator(5), /is not an async iterator/);
+    });
+  });
+
+  describe('#mapConcurrent(f, options)', () => {
+    it('should yield results in source order when ordered', async () => {
+      const iter = asyncIterator(asyncFrom([30, 10, 20]));
+      const mapped = await iter
+        .mapConcurrent(async x => {
+          await sleep(x);
+          return x;
+        }, { concurrency: 3 })
+        .collect();
+      assert.deepEqual(mapped, [30, 10, 20]);
+    });
+
+    it('should yield results in completion order when unordered', async () => {
+      const iter = asyncIterator(asyncFrom([30, 10, 20]));
+      const mapped = await iter
+        .mapConcurrent(async x => {
+          await sleep(x);
+          return x;
+        }, { concurrency: 3, ordered: false })
+        .collect();
+      assert.deepEqual(mapped, [10, 20, 30]);
+    });
+
+    it('should not exceed the concurrency limit', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const iter = asyncIterator(asyncFrom([1, 2, 3, 4, 5, 6, 7]));
+      const mapped = await iter
+        .mapConcurrent(async x => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await sleep(5);
+          inFlight--;
+          return x * 2;
+        }, { concurrency: 2 })
+        .collect();
+      assert.deepEqual(mapped, [2, 4, 6, 8, 10, 12, 14]);
+      assert.equal(maxInFlight, 2);
+    });
+
+    it('should close the source and settle pending calls when stopped early', async () => {
+      let closed = false;
+      let inFlight = 0;
+      async function* source() {
+        try {
+          for (let i = 0; true; i++) {
+            yield i;
+          }
+        } finally {
+          closed = true;
+        }
+      }
+      const sample = await asyncIterator(source())
+        .mapConcurrent(async x => {
+          inFlight++;
+          await sleep(5);
+          inFlight--;
+          return x;
+        }, { concurrency: 3 })
+        .take(2)
+        .collect();
+      assert.deepEqual(sample, [0, 1]);
+      assert.equal(closed, true);
+      assert.equal(inFlight, 0);
+    });
+
+    it('should propagate errors and close the source', async () => {
+      let closed = false;
+      async function* source() {
+        try {
+          yield* [1, 2, 3, 4];
+        } finally {
+          closed = true;
+        }
+      }
+      const iter = asyncIterator(source()).mapConcurrent(async x => {
+        if (x === 2) {
+          throw new Error('failed');
+        }
+        return x;
+      }, { concurrency: 2 });
+      await assert.rejects(iter.collect(), /failed/);
+      assert.equal(closed, true);
+    });
+
+    it('should reject an invalid concurrency', () => {
+      const iter = asyncIterator(asyncFrom([1]));
+      assert.throws(() => iter.mapConcurrent(x => x, { concurrency: 0 }));
+    });
+  });
+
+  describe('#chunk(n)', () => {
+    it('should group members into lists of n', async () => {
+      const chunks = await asyncIterator(asyncFrom([1, 2, 3, 4, 5]))
+        .chunk(2)
+        .collect();
+      assert.deepEqual(chunks, [[1, 2], [3, 4], [5]]);
+    });
+  });
+
+  describe('#windows(size, step)', () => {
+    it('should yield sliding windows', async () => {
+      const windows = await asyncIterator(asyncFrom([1, 2, 3, 4]))
+        .windows(3)
+        .collect();
+      assert.deepEqual(windows, [[1, 2, 3], [2, 3, 4]]);
+    });
+
+    it('should yield tumbling windows when the step equals the size', async () => {
+      const windows = await asyncIterator(asyncFrom([1, 2, 3, 4, 5]))
+        .windows(2, 2)
+        .collect();
+      assert.deepEqual(windows, [[1, 2], [3, 4]]);
+    });
+  });
+
+  describe('#chunkBy(keyFn)', () => {
+    it('should await the key function', async () => {
+      const chunks = await asyncIterator(asyncFrom(['a', 'b', 'cc', 'd']))
+        .chunkBy(async x => x.length)
+        .collect();
+      assert.deepEqual(chunks, [['a', 'b'], ['cc'], ['d']]);
+    });
+  });
+
+  describe('numeric terminals', () => {
+    it('should sum, multiply and average members', async () => {
+      assert.equal(await asyncIterator(asyncFrom([1e100, 1, -1e100])).sum(), 1);
+      assert.equal(await asyncIterator(asyncFrom([2n, 5n])).product(), 10n);
+      assert.equal(await asyncIterator(asyncFrom([1, 2])).average(), 1.5);
+    });
+
+    it('should compute statistics', async () => {
+      const stats = await asyncIterator(asyncFrom([1, 2, 3])).stats();
+      assert.deepEqual(stats, { count: 3, mean: 2, variance: 2 / 3, min: 1, max: 3 });
+    });
+
+    it('should find extremes with async callbacks', async () => {
+      const words = ['bb', 'a', 'ccc'];
+      assert.equal(await asyncIterator(asyncFrom(words)).min(), 'a');
+      assert.equal(await asyncIterator(asyncFrom(words)).max(), 'ccc');
+      assert.equal(await asyncIterator(asyncFrom(words)).minBy(async s => s.length), 'a');
+      assert.equal(await asyncIterator(asyncFrom(words)).maxBy(async s => -s.length), 'a');
+    });
+  });
+
+  describe('#peekable()', () => {
+    it('should look ahead without consuming members', async () => {
+      const iter = asyncIterator(asyncFrom([1, 2, 3])).peekable();
+      assert.equal(await iter.peek(), 1);
+      assert.deepEqual(await iter.peekN(2), [1, 2]);
+      assert.deepEqual(await iter.next(), { done: false, value: 1 });
+      assert.equal(await iter.nextIf(async x => x === 2), 2);
+      assert.equal(await iter.nextIf(x => x === 2), undefined);
+      assert.deepEqual(await iter.nextWhile(x => x < 10), [3]);
+      assert.equal(await iter.peek(), undefined);
+    });
+
+    it('should keep concurrent calls in order', async () => {
+      const iter = asyncIterator(asyncFrom([1, 2, 3])).peekable();
+      const results = await Promise.all([iter.next(), iter.peek(), iter.next(), iter.peekN(2)]);
+      assert.deepEqual(results, [{ done: false, value: 1 }, 2, { done: false, value: 2 }, [3]]);
+    });
+
+    it('should include buffered members in other operations', async () => {
+      const iter = asyncIterator(asyncFrom([1, 2, 3])).peekable();
+      await iter.peekN(2);
+      assert.deepEqual(await iter.map(x => x * 2).collect(), [2, 4, 6]);
+    });
+  });
+
+  describe('#tee(n, options)', () => {
+    it('should produce independent iterators over the same members', async () => {
+      const [a, b] = asyncIterator(asyncFrom([1, 2, 3])).tee();
+      assert.equal(await a.sum(), 6);
+      assert.deepEqual(await b.collect(), [1, 2, 3]);
+    });
+
+    it('should share pulls between concurrent consumers', async () => {
+      let pulled = 0;
+      const [a, b] = asyncIterator(asyncFrom([1, 2, 3, 4]))
+        .use(async _ => {
+          await sleep(1);
+          pulled++;
+        })
+        .tee();
+      const [sum, list] = await Promise.all([a.sum(), b.collect()]);
+      assert.equal(sum, 10);
+      assert.deepEqual(list, [1, 2, 3, 4]);
+      assert.equal(pulled, 4);
+    });
+
+    it('should throw when the buffer would exceed its maximum size', async () => {
+      const [a] = asyncIterator(asyncFrom([1, 2, 3])).tee(2, { maxBuffer: 1 });
+      await assert.rejects(a.collect(), /tee buffer exceeded 1 members/);
+    });
+
+    it('should close the source once every consumer is closed', async () => {
+      let closed = false;
+      const [a, b] = asyncIterator(asyncFrom([1, 2, 3]))
+        .onFinally(() => {
+          closed = true;
+        })
+        .tee();
+      await Promise.all([a.first(), b.first()]);
+      assert.equal(closed, true);
+    });
+  });
+
+  describe('stateful adapters', () => {
+    it('should await the predicate of #takeWhile(predicate)', async () => {
+      const taken = await asyncIterator(asyncFrom([1, 2, 5, 1]))
+        .takeWhile(async x => x < 3)
+        .collect();
+      assert.deepEqual(taken, [1, 2]);
+    });
+
+    it('should await the predicate of #skipWhile(predicate)', async () => {
+      const rest = await asyncIterator(asyncFrom([1, 2, 5, 1]))
+        .skipWhile(async x => x < 3)
+        .collect();
+      assert.deepEqual(rest, [5, 1]);
+    });
+
+    it('should await the function of #mapWhile(f)', async () => {
+      const mapped = await asyncIterator(asyncFrom([1, 2, 0, 3]))
+        .mapWhile(async x => (x > 0 ? x * 2 : undefined))
+        .collect();
+      assert.deepEqual(mapped, [2, 4]);
+    });
+
+    it('should await the function of #scan(init, f)', async () => {
+      const totals = await asyncIterator(asyncFrom([1, 2, 3]))
+        .scan(1, async (product, x) => product * x)
+        .collect();
+      assert.deepEqual(totals, [1, 2, 6]);
+    });
+
+    it('should step through members with #stepBy(n)', async () => {
+      const stepped = await asyncIterator(asyncFrom([0, 1, 2, 3, 4]))
+        .stepBy(2)
+        .collect();
+      assert.deepEqual(stepped, [0, 2, 4]);
+    });
+
+    it('should chain async and sync iterators with #chain(...others)', async () => {
+      const chained = await asyncIterator(asyncFrom([1]))
+        .chain([2], asyncFrom([3]), iterator([4]))
+        .collect();
+      assert.deepEqual(chained, [1, 2, 3, 4]);
+    });
+
+    it('should stay exhausted with #fuse()', async () => {
+      let i = 0;
+      const flaky = {
+        next: async () => (i++ % 2 == 0 ? { done: true } : { done: false, value: i }),
+        [Symbol.asyncIterator]() {
+          return this;
+        }
+      };
+      const iter = asyncIterator(flaky)
+        .fuse()
+        .iterator();
+      assert.equal((await iter.next()).done, true);
+      assert.equal((await iter.next()).done, true);
+    });
+  });
+
+  describe('#buffer(n, options)', () => {
+    function counted(list) {
+      const state = { pulled: 0, closed: false };
+      state.iter = (async function* source() {
+        try {
+          for (const x of list) {
+            state.pulled++;
+            yield x;
+          }
+        } finally {
+          state.closed = true;
+        }
+      })();
+      return state;
+    }
+
+    async function drain(iter) {
+      const members = [];
+      try {
+        while (true) {
+          const { done, value } = await iter.next();
+          if (done) {
+            return members;
+          }
+          members.push(value);
+        }
+      } catch (e) {
+        members.push(e.message);
+        return members;
+      }
+    }
+
+    it('should pull members ahead of the consumer', async () => {
+      const source = counted([1, 2, 3, 4, 5, 6]);
+      const iter = asyncIterator(source.iter)
+        .buffer(3)
+        .iterator();
+      assert.equal((await iter.next()).value, 1);
+      await sleep(5);
+      assert.equal(source.pulled, 4);
+      assert.deepEqual(await drain(iter), [2, 3, 4, 5, 6]);
+    });
+
+    it('should resume pulling at the low-water mark', async () => {
+      const source = counted([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+      const iter = asyncIterator(source.iter)
+        .buffer(4, { lowWaterMark: 1 })
+        .iterator();
+      await iter.next();
+      await sleep(5);
+      assert.equal(source.pulled, 5);
+      await iter.next();
+      await iter.next();
+      await sleep(5);
+      assert.equal(source.pulled, 5);
+      await iter.next();
+      await sleep(5);
+      assert.equal(source.pulled, 8);
+    });
+
+    it('should apply the overflow policy when the buffer is full', async () => {
+      const results = {};
+      for (const overflow of ['dropOldest', 'dropNewest', 'error']) {
+        const iter = asyncIterator([1, 2, 3, 4, 5, 6])
+          .buffer(2, { overflow })
+          .iterator();
+        await iter.next();
+        await sleep(5);
+        results[overflow] = await drain(iter);
+      }
+      assert.deepEqual(results, {
+        dropOldest: [5, 6],
+        dropNewest: [2, 3],
+        error: [2, 3, 'Buffer overflowed its capacity of 2 members']
+      });
+    });
+
+    it('should throw source errors after the members before them', async () => {
+      async function* failing() {
+        yield 1;
+        yield 2;
+        throw new Error('source failed');
+      }
+      const iter = asyncIterator(failing())
+        .prefetch(5)
+        .iterator();
+      assert.deepEqual(await drain(iter), [1, 2, 'source failed']);
+    });
+
+    it('should stop pulling and close the source when closed', async () => {
+      const source = counted([1, 2, 3, 4, 5, 6]);
+      const first = await asyncIterator(source.iter)
+        .buffer(2)
+        .first();
+      await sleep(5);
+      assert.equal(first, 1);
+      assert.ok(source.pulled <= 3);
+      assert.equal(source.closed, true);
+    });
+
+    it('should reject invalid options', () => {
+      const iter = asyncIterator([1]);
+      assert.throws(() => iter.buffer(0));
+      assert.throws(() => iter.buffer(2, { lowWaterMark: 2 }));
+      assert.throws(() => iter.buffer(2, { overflow: 'ignore' }));
+    });
+  });
+
+  describe('distinct and sorted set operations', () => {
+    it('should await the key function of #unique(keyFn)', async () => {
+      const words = await asyncIterator(asyncFrom(['a', 'B', 'A', 'b']))
+        .unique(async s => s.toLowerCase())
+        .collect();
+      assert.deepEqual(words, ['a', 'B']);
+    });
+
+    it('should drop consecutive duplicates with #dedupe(keyFn)', async () => {
+      const deduped = await asyncIterator(asyncFrom([1, 1, 2, 2, 1]))
+        .dedupe()
+        .collect();
+      assert.deepEqual(deduped, [1, 2, 1]);
+    });
+
+    it('should merge async and sync sorted iterators', async () => {
+      const a = asyncIterator(asyncFrom([1, 3, 5, 7]));
+      const merged = await a.mergeSorted([2, 3], asyncFrom([6])).collect();
+      assert.deepEqual(merged, [1, 2, 3, 3, 5, 6, 7]);
+    });
+
+    it('should perform set operations on sorted iterators', async () => {
+      const sets = () => [asyncIterator(asyncFrom([1, 2, 3, 4])), asyncFrom([2, 4, 6])];
+      const [a, b] = sets();
+      assert.deepEqual(await a.unionSorted(b).collect(), [1, 2, 3, 4, 6]);
+      const [c, d] = sets();
+      assert.deepEqual(await c.intersectSorted(d).collect(), [2, 4]);
+      const [e, f] = sets();
+      assert.deepEqual(await e.differenceSorted(f).collect(), [1, 3]);
+    });
+
+    it('should await the comparator', async () => {
+      const merged = await asyncIterator([3, 1])
+        .mergeSorted([2], async (x, y) => y - x)
+        .collect();
+      assert.deepEqual(merged, [3, 2, 1]);
+    });
+  });
+
+  describe('sorting and selection', () => {
+    it('should sort with #sorted(cmp) and #sortBy(keyFn)', async () => {
+      const xs = () => asyncIterator(asyncFrom([5, 3, 9, 1, 7]));
+      assert.deepEqual(
+        await xs()
+          .sorted()
+          .collect(),
+        [1, 3, 5, 7, 9]
+      );
+      const words = asyncIterator(asyncFrom(['pear', 'fig', 'apple', 'kiwi']));
+      assert.deepEqual(await words.sortBy(async word => word.length).collect(), [
+        'fig',
+        'pear',
+        'kiwi',
+        'apple'
+      ]);
+    });
+
+    it('should select the largest and smallest members with #topK(k) and #bottomK(k)', async () => {
+      const xs = () => asyncIterator(asyncFrom([5, 3, 9, 1, 7, 3, 8]));
+      assert.deepEqual(
+        await xs()
+          .topK(3)
+          .collect(),
+        [9, 8, 7]
+      );
+      assert.deepEqual(
+        await xs()
+          .bottomK(3)
+          .collect(),
+        [1, 3, 3]
+      );
+    });
+
+    it('should merge sync and async sorted runs with #kWayMerge(cmp)', async () => {
+      const runs = asyncFrom([[1, 4, 7], asyncFrom([2, 5, 8]), range(0, 10, 3)]);
+      assert.deepEqual(
+        await asyncIterator(runs)
+          .kWayMerge()
+          .collect(),
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+      );
+    });
+
+    it('should await the comparator of #kWayMerge(cmp)', async () => {
+      const runs = asyncFrom([range(7, 0, -3), range(8, 0, -3), range(9, 0, -3)]);
+      const merged = await asyncIterator(runs)
+        .kWayMerge(async (x, y) => y - x)
+        .collect();
+      assert.deepEqual(merged, [9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    });
+
+    it('should spill sorted runs when the input exceeds the memory budget', async () => {
+      const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'sorted-'));
+      const words = asyncIterator(asyncFrom(['pear', 'fig', 'apple', 'kiwi', 'plum', 'date']));
+      const sorted = await words
+        .sortBy(async word => word.length, undefined, { budget: 2, tmpdir })
+        .collect();
+      assert.deepEqual(sorted, ['fig', 'pear', 'kiwi', 'plum', 'date', 'apple']);
+      const first = await asyncIterator(range(0, 50).map(x => (x * 7) % 50))
+        .sorted(undefined, { budget: 8, tmpdir })
+        .take(2)
+        .collect();
+      assert.deepEqual(first, [0, 1]);
+      assert.deepEqual(fs.readdirSync(tmpdir), []);
+      fs.rmdirSync(tmpdir);
+    });
+
+    it('should await the comparators of #sorted(cmp), #topK(k) and #bottomK(k)', async () => {
+      const cmp = async (x, y) => {
+        await sleep(1);
+        return x - y;
+      };
+      const xs = () => asyncIterator(asyncFrom([5, 2, 4, 1, 3]));
+      const sorted = xs().sorted(cmp);
+      assert.deepEqual(await sorted.collect(), [1, 2, 3, 4, 5]);
+      const spilled = xs().sorted(cmp, { budget: 2 });
+      assert.deepEqual(await spilled.collect(), [1, 2, 3, 4, 5]);
+      const top = xs().topK(2, cmp);
+      assert.deepEqual(await top.collect(), [5, 4]);
+      const bottom = xs().bottomK(2, cmp);
+      assert.deepEqual(await bottom.collect(), [1, 2]);
+    });
+
+    it('should spill members which JSON would not preserve', async () => {
+      const sorted = await asyncIterator(asyncFrom([2, undefined, 1, undefined]))
+        .sortBy(x => (x === undefined ? 0 : x), undefined, { budget: 1 })
+        .collect();
+      assert.deepEqual(sorted, [undefined, undefined, 1, 2]);
+    });
+  });
+
+  describe('#nth(n)', () => {
+    it('should produce the nth member', async () => {
+      assert.equal(await asyncIterator(asyncFrom([1, 2, 3])).nth(1), 2);
+      assert.equal(await asyncIterator(asyncFrom([1, 2, 3])).nth(3), undefined);
+    });
+  });
+
+  describe('async callbacks', () => {
+    async function double(x) {
+      await sleep(1);
+      return x * 2;
+    }
+
+    async function isEven(x) {
+      await sleep(1);
+      return x % 2 == 0;
+    }
+
+    it('should await the result of #map(f)', async () => {
+      const mapped = await asyncIterator(asyncFrom([1, 2, 3]))
+        .map(double)
+        .collect();
+      assert.deepEqual(mapped, [2, 4, 6]);
+    });
+
+    it('should await the predicate of #filter(predicate)', async () => {
+      const filtered = await asyncIterator(asyncFrom([1, 2, 3, 4]))
+        .filter(isEven)
+        .collect();
+      assert.deepEqual(filtered, [2, 4]);
+    });
+
+    it('should await the function of #use(f) before yielding', async () => {
+      const seen = [];
+      const used = await asyncIterator(asyncFrom([1, 2, 3]))
+        .use(async x => {
+          await sleep(1);
+          seen.push(x);
+        })
+        .map(x => seen.length)
+        .collect();
+      assert.deepEqual(used, [1, 2, 3]);
+    });
+
+    it('should await the reducer of #fold(init, reducer)', async () => {
+      const folded = await asyncIterator(asyncFrom([1, 2, 3])).fold(0, async (sum, x) => {
+        await sleep(1);
+        return sum + x;
+      });
+      assert.equal(folded, 6);
+    });
+
+    it('should await the function of #forEach(f)', async () => {
+      const seen = [];
+      await asyncIterator(asyncFrom([1, 2, 3])).forEach(async x => {
+        await sleep(1);
+        seen.push(x);
+      });
+      assert.deepEqual(seen, [1, 2, 3]);
+    });
+
+    it('should await the predicate of #any(predicate)', async () => {
+      assert.equal(await asyncIterator(asyncFrom([1, 3, 5])).any(isEven), false);
+      assert.equal(await asyncIterator(asyncFrom([1, 2, 3])).any(isEven), true);
+    });
+
+    it('should await the predicate of #all(predicate)', async () => {
+      assert.equal(await asyncIterator(asyncFrom([2, 4, 5])).all(isEven), false);
+      assert.equal(await asyncIterator(asyncFrom([2, 4, 6])).all(isEven), true);
+    });
+
+    it('should await the function of #flatMap(f)', async () => {
+      const flattened = await asyncIterator(asyncFrom([1, 2, 3]))
+        .flatMap(async x => {
+          await sleep(1);
+          return asyncFrom([x, x * 10]);
+        })
+        .collect();
+      assert.deepEqual(flattened, [1, 10, 2, 20, 3, 30]);
+    });
+
+    it('should accept synchronous iterables from #flatMap(f)', async () => {
+      const flattened = await asyncIterator(asyncFrom([1, 2]))
+        .flatMap(x => [x, x])
+        .collect();
+      assert.deepEqual(flattened, [1, 1, 2, 2]);
+    });
+
+    it('should await the function of #zipWith(iter, f)', async () => {
+      const zipped = await asyncIterator(asyncFrom([1, 2, 3]))
+        .zipWith(asyncFrom([4, 5, 6]), async (a, b) => a + b)
+        .take(3)
+        .collect();
+      assert.deepEqual(zipped, [5, 7, 9]);
+    });
+  });
+});
+
+describe('asyncIterator streams', () => {
+  function sink({ highWaterMark = 1, delay = 0, fail } = {}) {
+    const written = [];
+    const writable = new Writable({
+      objectMode: true,
+      highWaterMark,
+      write(chunk, _, callback) {
+        if (fail !== undefined && chunk === fail) {
+          callback(new Error('write failed'));
+          return;
+        }
+        written.push(chunk);
+        setTimeout(callback, delay);
+      }
+    });
+    return { writable, written };
+  }
+
+  describe('.fromStream(readable)', () => {
+    it('should yield the chunks of the stream', async () => {
+      const readable = Readable.from(['a', 'b', 'c']);
+      const collected = await asyncIterator.fromStream(readable).collect();
+      assert.deepEqual(collected, ['a', 'b', 'c']);
+    });
+
+    it('should propagate stream errors', async () => {
+      const readable = new PassThrough({ objectMode: true });
+      readable.write(1);
+      setImmediate(() => readable.destroy(new Error('stream failed')));
+      await assert.rejects(asyncIterator.fromStream(readable).collect(), /stream failed/);
+    });
+
+    it('should destroy the stream when stopped early', async () => {
+      const readable = Readable.from([1, 2, 3, 4]);
+      const sample = await asyncIterator.fromStream(readable)
+        .take(1)
+        .collect();
+      assert.deepEqual(sample, [1]);
+      assert.equal(readable.destroyed, true);
+    });
+
+    it('should reject values that are not readable streams', () => {
+      assert.throws(() => asyncIterator.fromStream([1, 2]), /is not a readable stream/);
+    });
+  });
+
+  describe('#toReadable(options)', () => {
+    it('should produce a stream of the members', async () => {
+      const readable = asyncIterator(asyncFrom([1, 2, 3])).toReadable();
+      const collected = [];
+      for await (const chunk of readable) {
+        collected.push(chunk);
+      }
+      assert.deepEqual(collected, [1, 2, 3]);
+    });
+
+    it('should produce a byte stream when not in object mode', async () => {
+      const readable = asyncIterator(asyncFrom(['ab', 'cd'])).toReadable({ objectMode: false });
+      let text = '';
+      for await (const chunk of readable) {
+        text += chunk.toString();
+      }
+      assert.equal(text, 'abcd');
+    });
+
+    it('should only read ahead up to the high water mark', async () => {
+      let pulled = 0;
+      const readable = asyncIterator(asyncFrom([1, 2, 3, 4, 5, 6, 7, 8]))
+        .use(_ => pulled++)
+        .toReadable({ highWaterMark: 2 });
+      readable.read(0);
+      await sleep(10);
+      assert.equal(pulled, 2);
+      readable.destroy();
+    });
+  });
+
+  describe('#pipeTo(writable)', () => {
+    it('should write all members and end the stream', async () => {
+      const { writable, written } = sink();
+      await asyncIterator(asyncFrom([1, 2, 3])).pipeTo(writable);
+      assert.deepEqual(written, [1, 2, 3]);
+      assert.equal(writable.writableFinished, true);
+    });
+
+    it('should wait for the stream to drain', async () => {
+      let pulled = 0;
+      let maxAhead = 0;
+      const { writable, written } = sink({ delay: 2 });
+      await asyncIterator(asyncFrom([1, 2, 3, 4, 5, 6]))
+        .use(_ => {
+          pulled++;
+          maxAhead = Math.max(maxAhead, pulled - written.length);
+        })
+        .pipeTo(writable);
+      assert.deepEqual(written, [1, 2, 3, 4, 5, 6]);
+      assert.ok(maxAhead < 6);
+    });
+
+    it('should destroy the stream when the iterator fails', async () => {
+      async function* failing() {
+        yield 1;
+        throw new Error('source failed');
+      }
+      const { writable } = sink();
+      await assert.rejects(asyncIterator(failing()).pipeTo(writable), /source failed/);
+      assert.equal(writable.destroyed, true);
+    });
+
+    it('should close the iterator when the stream fails', async () => {
+      let closed = false;
+      async function* source() {
+        try {
+          for (let i = 0; true; i++) {
+            yield i;
+          }
+        } finally {
+          closed = true;
+        }
+      }
+      const { writable } = sink({ fail: 3 });
+      await assert.rejects(asyncIterator(source()).pipeTo(writable), /write failed/);
+      assert.equal(closed, true);
+    });
+  });
+});
+
+describe('asyncIterator timing', () => {
+  describe('#delay(ms, options)', () => {
+    it('should wait before yielding each member', async () => {
+      const scheduler = virtualScheduler();
+      const times = [];
+      const done = asyncIterator(asyncFrom([1, 2]))
+        .delay(100, { scheduler })
+        .forEach(_ => times.push(scheduler.now()));
+      await scheduler.advance(99);
+      assert.deepEqual(times, []);
+      await scheduler.advance(101);
+      await done;
+      assert.deepEqual(times, [100, 200]);
+    });
+  });
+
+  describe('#throttle(ms, options)', () => {
+    it('should drop members produced too soon after the last one', async () => {
+      const scheduler = virtualScheduler();
+      const source = timed(scheduler, [[0, 1], [30, 2], [30, 3], [50, 4], [120, 5]]);
+      const result = asyncIterator(source)
+        .throttle(100, { scheduler })
+        .collect();
+      await scheduler.advance(1000);
+      assert.deepEqual(await result, [1, 4, 5]);
+    });
+  });
+
+  describe('#debounce(ms, options)', () => {
+    it('should only yield members followed by a quiet period', async () => {
+      const scheduler = virtualScheduler();
+      const source = timed(scheduler, [[0, 1], [10, 2], [100, 3], [10, 4], [10, 5]]);
+      const result = asyncIterator(source)
+        .debounce(50, { scheduler })
+        .collect();
+      await scheduler.advance(1000);
+      assert.deepEqual(await result, [2, 5]);
+    });
+
+    it('should close the source when stopped early', async () => {
+      let closed = false;
+      const scheduler = virtualScheduler();
+      async function* source() {
+        try {
+          for (let i = 0; true; i++) {
+            await after(scheduler, 100);
+            yield i;
+          }
+        } finally {
+          closed = true;
+        }
+      }
+      const result = asyncIterator(source())
+        .debounce(50, { scheduler })
+        .take(2)
+        .collect();
+      await scheduler.advance(1000);
+      assert.deepEqual(await result, [0, 1]);
+      assert.equal(closed, true);
+    });
+  });
+
+  describe('#bufferTime(ms, maxSize, options)', () => {
+    it('should group members produced within each window', async () => {
+      const scheduler = virtualScheduler();
+      const source = timed(scheduler, [[0, 1], [40, 2], [70, 3], [150, 4], [10, 5]]);
+      const result = asyncIterator(source)
+        .bufferTime(100, Infinity, { scheduler })
+        .collect();
+      await scheduler.advance(1000);
+      assert.deepEqual(await result, [[1, 2], [3], [4, 5]]);
+    });
+
+    it('should yield a list early once it reaches the maximum size', async () => {
+      const scheduler = virtualScheduler();
+      const source = timed(scheduler, [[0, 1], [1, 2], [1, 3], [1, 4], [1, 5]]);
+      const result = asyncIterator(source)
+        .bufferTime(100, 2, { scheduler })
+        .collect();
+      await scheduler.advance(1000);
+      assert.deepEqual(await result, [[1, 2], [3, 4], [5]]);
+    });
+  });
+
+  describe('#timeout(ms, options)', () => {
+    it('should yield members produced in time', async () => {
+      const scheduler = virtualScheduler();
+      const source = timed(scheduler, [[10, 1], [40, 2], [40, 3]]);
+      const result = asyncIterator(source)
+        .timeout(50, { scheduler })
+        .collect();
+      await scheduler.advance(1000);
+      assert.deepEqual(await result, [1, 2, 3]);
+    });
+
+    it('should throw a TimeoutError if a member is late', async () => {
+      const scheduler = virtualScheduler();
+      const source = timed(scheduler, [[10, 1], [60, 2]]);
+      const result = asyncIterator(source)
+        .timeout(50, { scheduler })
+        .collect();
+      const rejection = assert.rejects(result, TimeoutError);
+      await scheduler.advance(1000);
+      await rejection;
+    });
+  });
+});
+
+describe('asyncIterator combinators', () => {
+  describe('.merge(...sources)', () => {
+    it('should yield members in the order they are produced', async () => {
+      const scheduler = virtualScheduler();
+      const a = timed(scheduler, [[10, 'a1'], [30, 'a2']]);
+      const b = timed(scheduler, [[20, 'b1'], [5, 'b2']]);
+      const result = asyncIterator.merge(a, b).collect();
+      await scheduler.advance(100);
+      assert.deepEqual(await result, ['a1', 'b1', 'b2', 'a2']);
+    });
+
+    it('should accept synchronous iterables', async () => {
+      const merged = await asyncIterator.merge([1, 2], iterator([3])).collect();
+      assert.deepEqual(merged.sort(), [1, 2, 3]);
+    });
+
+    it('should close every source when stopped early', async () => {
+      const scheduler = virtualScheduler();
+      let closed = 0;
+      const a = timed(scheduler, [[10, 1], [10, 2], [10, 3]], () => closed++);
+      const b = timed(scheduler, [[15, 4], [15, 5]], () => closed++);
+      const result = asyncIterator.merge(a, b)
+        .take(2)
+        .collect();
+      await scheduler.advance(100);
+      assert.deepEqual(await result, [1, 4]);
+      assert.equal(closed, 2);
+    });
+
+    it('should propagate errors and close the other sources', async () => {
+      let closed = false;
+      async function* failing() {
+        yield 1;
+        throw new Error('source failed');
+      }
+      async function* endless() {
+        try {
+          while (true) {
+            await sleep(1);
+            yield 0;
+          }
+        } finally {
+          closed = true;
+        }
+      }
+      await assert.rejects(asyncIterator.merge(failing(), endless()).collect(), /source failed/);
+      await sleep(5);
+      assert.equal(closed, true);
+    });
+  });
+
+  describe('.combineLatest(...sources)', () => {
+    it('should yield the latest member of each source', async () => {
+      const scheduler = virtualScheduler();
+      const a = timed(scheduler, [[10, 'a1'], [20, 'a2']]);
+      const b = timed(scheduler, [[20, 'b1'], [20, 'b2']]);
+      const result = asyncIterator.combineLatest(a, b).collect();
+      await scheduler.advance(100);
+      assert.deepEqual(await result, [['a1', 'b1'], ['a2', 'b1'], ['a2', 'b2']]);
+    });
+  });
+
+  describe('.race(...sources)', () => {
+    it('should yield only from the first source to produce a member', async () => {
+      const scheduler = virtualScheduler();
+      let closed = 0;
+      const a = timed(scheduler, [[20, 'a1'], [1, 'a2']], () => closed++);
+      const b = timed(scheduler, [[10, 'b1'], [50, 'b2']]);
+      const result = asyncIterator.race(a, b).collect();
+      await scheduler.advance(100);
+      assert.deepEqual(await result, ['b1', 'b2']);
+      assert.equal(closed, 1);
+    });
+
+    it('should close every source when stopped early', async () => {
+      const scheduler = virtualScheduler();
+      const closed = [];
+      const a = timed(scheduler, [[10, 'a1'], [10, 'a2']], () => closed.push('a'));
+      const b = timed(scheduler, [[20, 'b1']], () => closed.push('b'));
+      const result = asyncIterator.race(a, b).first();
+      await scheduler.advance(100);
+      assert.equal(await result, 'a1');
+      assert.deepEqual(closed.sort(), ['a', 'b']);
+    });
+
+    it('should yield nothing for no sources', async () => {
+      assert.deepEqual(await asyncIterator.race().collect(), []);
+    });
+  });
+});
+
+describe('error handling', () => {
+  function* failing(list, error) {
+    yield* list;
+    throw error;
+  }
+
+  describe('#catchError(handler)', () => {
+    it('should continue with the fallback iterator', () => {
+      const errors = [];
+      const result = iterator(failing([1, 2], new Error('boom')))
+        .catchError(e => {
+          errors.push(e.message);
+          return [3];
+        })
+        .collect();
+      assert.deepEqual(result, [1, 2, 3]);
+      assert.deepEqual(errors, ['boom']);
+    });
+
+    it('should catch errors thrown by callbacks', () => {
+      const result = iterator([1, 2, 3])
+        .map(x => {
+          if (x == 2) {
+            throw new Error('bad');
+          }
+          return x;
+        })
+        .catchError(() => iterator([0]))
+        .collect();
+      assert.deepEqual(result, [1, 0]);
+    });
+
+    it('should await async handlers', async () => {
+      const result = await asyncIterator(failing([1], new Error('boom')))
+        .catchError(async () => asyncFrom([2, 3]))
+        .collect();
+      assert.deepEqual(result, [1, 2, 3]);
+    });
+
+    it('should not handle errors thrown in by the consumer', async () => {
+      let closed = false;
+      function* source() {
+        try {
+          yield* [1, 2];
+        } finally {
+          closed = true;
+        }
+      }
+      const caught = iterator(source()).catchError(() => [0]);
+      const iter = caught[Symbol.iterator]();
+      iter.next();
+      assert.throws(() => iter.throw(new Error('consumer')), /consumer/);
+      assert.ok(closed);
+      const handled = [];
+      const observed = asyncIterator(asyncFrom([1, 2])).onError(e => handled.push(e));
+      const asyncIter = observed[Symbol.asyncIterator]();
+      await asyncIter.next();
+      await assert.rejects(asyncIter.throw(new Error('consumer')), /consumer/);
+      assert.deepEqual(handled, []);
+    });
+  });
+
+  describe('#onError(f)', () => {
+    it('should observe and rethrow errors', async () => {
+      const errors = [];
+      assert.throws(
+        () =>
+          iterator(failing([1], new Error('sync')))
+            .onError(e => errors.push(e.message))
+            .collect(),
+        /sync/
+      );
+      await assert.rejects(
+        asyncIterator(failing([1], new Error('async')))
+          .onError(async e => errors.push(e.message))
+          .collect(),
+        /async/
+      );
+      assert.deepEqual(errors, ['sync', 'async']);
+    });
+  });
+
+  describe('#tryMap(f)', () => {
+    const parse = s => {
+      if (isNaN(s)) {
+        throw new Error(`${s} is not a number`);
+      }
+      return Number(s);
+    };
+
+    it('should yield results instead of throwing', () => {
+      const results = iterator(['1', 'x'])
+        .tryMap(parse)
+        .map(result => (result.ok ? result.value : result.error.message))
+        .collect();
+      assert.deepEqual(results, [1, 'x is not a number']);
+    });
+
+    it('should await async functions', async () => {
+      const results = await asyncIterator(['1', 'x'])
+        .tryMap(async s => parse(s))
+        .map(result => result.ok)
+        .collect();
+      assert.deepEqual(results, [true, false]);
+    });
+  });
+
+  describe('.retry(factory, options)', () => {
+    it('should recreate the source with exponential backoff', async () => {
+      const scheduler = virtualScheduler();
+      const started = [];
+      const result = asyncIterator
+        .retry(
+          attempt => {
+            started.push([attempt, scheduler.now()]);
+            return attempt < 3 ? failing([attempt], new Error('flaky')) : asyncFrom(['ok']);
+          },
+          { attempts: 3, backoff: 100, scheduler }
+        )
+        .collect();
+      await scheduler.advance(300);
+      assert.deepEqual(await result, [1, 2, 'ok']);
+      assert.deepEqual(started, [
+        [1, 0],
+        [2, 100],
+        [3, 300]
+      ]);
+    });
+
+    it('should throw the last error once attempts run out', async () => {
+      let attempts = 0;
+      const result = asyncIterator
+        .retry(
+          async () => {
+            attempts++;
+            throw new Error(`failure ${attempts}`);
+          },
+          { attempts: 2 }
+        )
+        .collect();
+      await assert.rejects(result, /failure 2/);
+      assert.equal(attempts, 2);
+    });
+
+    it('should reject an invalid number of attempts', () => {
+      assert.throws(() => asyncIterator.retry(() => [], { attempts: 0 }));
+    });
+  });
+});
+
+describe('asyncIterator workers', () => {
+  const workers = path.join(__dirname, 'fixtures', 'workers.js');
+
+  describe('#parallelMap(moduleOrFnPath, options)', () => {
+    it('should map members in worker threads', async () => {
+      const squares = await asyncIterator(asyncFrom([1, 2, 3, 4]))
+        .parallelMap(workers, { workers: 2 })
+        .collect();
+      assert.deepEqual(squares, [1, 4, 9, 16]);
+    });
+
+    it('should accept synchronous sources and named exports', async () => {
+      const threads = await iterator([1, 2, 3, 4, 5, 6])
+        .toAsync()
+        .parallelMap(`${workers}#thread`, { workers: 2 })
+        .collect(collectors.toSet());
+      assert.ok(threads.size <= 2);
+      assert.ok(!threads.has(0));
+    });
+
+    it('should yield results as they complete when unordered', async () => {
+      const results = await asyncIterator([200, 10, 100])
+        .parallelMap(`${workers}#sleepThenEcho`, { workers: 3, ordered: false })
+        .collect();
+      assert.deepEqual(results, [10, 100, 200]);
+    });
+
+    it('should throw errors thrown by the function', async () => {
+      await assert.rejects(
+        asyncIterator([1])
+          .parallelMap(`${workers}#fail`, { workers: 1 })
+          .collect(),
+        /cannot process 1/
+      );
+    });
+
+    it('should throw a WorkerError when a worker crashes', async () => {
+      const results = [];
+      await assert.rejects(
+        asyncIterator([1, 2, 3, 4])
+          .parallelMap(`${workers}#crashOn`, { workers: 1 })
+          .forEach(x => results.push(x)),
+        e => e instanceof WorkerError && /code 7/.test(e.message)
+      );
+      assert.deepEqual(results, [1, 2]);
+    });
+
+    it('should shut down busy workers when cancelled', async () => {
+      const result = await asyncIterator([1, 2])
+        .parallelMap(`${workers}#spin`, { workers: 2 })
+        .timeout(100)
+        .catchError(e => [e.name])
+        .collect();
+      assert.deepEqual(result, ['TimeoutError']);
+    });
+
+    it('should reject invalid options', () => {
+      assert.throws(() => asyncIterator([1]).parallelMap(workers, { workers: 0 }));
+      assert.throws(() => asyncIterator([1]).parallelMap(path.join(__dirname, 'missing.js')));
+    });
+  });
+});
+
+describe('asyncIterator cleanup', () => {
+  const adapters = {
+    use: iter => iter.use(() => {}),
+    take: iter => iter.take(5),
+    skip: iter => iter.skip(1),
+    map: iter => iter.map(x => x * 2),
+    mapConcurrent: iter => iter.mapConcurrent(x => x, { concurrency: 2 }),
+    filter: iter => iter.filter(x => x % 2 == 0),
+    flatMap: iter => iter.flatMap(x => [x, x]),
+    flatten: iter => iter.map(x => asyncFrom([x])).flatten(),
+    loop: iter => iter.loop(),
+    zip: iter => iter.zip([1, 2, 3]),
+    zipWith: iter => iter.zipWith(asyncFrom([1, 2, 3]), (a, b) => a + b),
+    intersperse: iter => iter.intersperse(0),
+    enumerate: iter => iter.enumerate(),
+    delay: iter => iter.delay(0),
+    throttle: iter => iter.throttle(0),
+    bufferTime: iter => iter.bufferTime(10, 2),
+    timeout: iter => iter.timeout(100),
+    buffer: iter => iter.buffer(2)
+  };
+
+  Object.keys(adapters).forEach(name => {
+    it(`should close the source of #${name}() when stopped early`, async () => {
+      const source = tracked(true);
+      await adapters[name](asyncIterator(source.iter))
+        .take(1)
+        .collect();
+      assert.equal(source.closed, 1);
+    });
+
+    it(`should close the source of #${name}() behind a map when taking nothing`, async () => {
+      const source = tracked(true);
+      const mapped = asyncIterator(source.iter).map(x => x);
+      const taken = adapters[name](mapped).take(0);
+      assert.deepEqual(await taken.collect(), []);
+      assert.equal(source.closed, 1);
+    });
+  });
+
+  it('should close the other source of #zip(iter) when stopped early', async () => {
+    const source = tracked(true);
+    await asyncIterator(asyncFrom([1]))
+      .zip(source.iter)
+      .collect();
+    assert.equal(source.closed, 1);
+  });
+
+  it('should not pull more members than are taken', async () => {
+    let pulled = 0;
+    await asyncIterator(asyncFrom([1, 2, 3]))
+      .use(_ => pulled++)
+      .take(2)
+      .collect();
+    assert.equal(pulled, 2);
+  });
+
+  const terminals = {
+    first: iter => iter.first(),
+    any: iter => iter.any(x => x > 1),
+    all: iter => iter.all(x => x < 2)
+  };
+
+  Object.keys(terminals).forEach(name => {
+    it(`should close the source of #${name}() once it has an answer`, async () => {
+      const source = tracked(true);
+      await terminals[name](asyncIterator(source.iter));
+      assert.equal(source.closed, 1);
+    });
+  });
+
+  it('should close the source when an error is thrown into the iterator', async () => {
+    const source = tracked(true);
+    const iter = asyncIterator(source.iter)
+      .map(x => x * 2)
+      .iterator();
+    await iter.next();
+    await assert.rejects(iter.throw(new Error('stop')), /stop/);
+    assert.equal(source.closed, 1);
+  });
+
+  describe('#onFinally(f)', () => {
+    it('should run once when the iterator is exhausted', async () => {
+      let runs = 0;
+      const iter = asyncIterator(asyncFrom([1, 2])).onFinally(() => runs++);
+      assert.deepEqual(await iter.collect(), [1, 2]);
+      assert.equal(runs, 1);
+    });
+
+    it('should run once when the iterator throws', async () => {
+      let runs = 0;
+      async function* failing() {
+        yield 1;
+        throw new Error('failed');
+      }
+      const iter = asyncIterator(failing()).onFinally(() => runs++);
+      await assert.rejects(iter.collect(), /failed/);
+      assert.equal(runs, 1);
+    });
+
+    it('should await the function and run once when the iterator is abandoned', async () => {
+      let runs = 0;
+      const source = tracked(true);
+      const found = await asyncIterator(source.iter)
+        .onFinally(async () => {
+          await sleep(1);
+          runs++;
+        })
+        .first();
+      assert.equal(found, 1);
+      assert.equal(runs, 1);
+      assert.equal(source.closed, 1);
+    });
+  });
+});
+
+describe('asyncIterator cancellation', () => {
+  // An iterator whose members never arrive, recording whether it was closed
+  function hanging() {
+    const state = { closed: false };
+    state.iter = {
+      next: () => new Promise(() => {}),
+      return: async () => {
+        state.closed = true;
+        return { done: true };
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+    return state;
+  }
+
+  it('should reject a pending terminal operation when aborted', async () => {
+    const controller = new AbortController();
+    const source = hanging();
+    const result = asyncIterator(source.iter, { signal: controller.signal })
+      .map(x => x * 2)
+      .collect();
+    setTimeout(() => controller.abort(), 5);
+    await assert.rejects(result, AbortError);
+    await sleep(1);
+    assert.equal(source.closed, true);
+  });
+
+  it('should reject immediately if the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    let pulled = 0;
+    const iter = asyncIterator(asyncFrom([1, 2, 3]))
+      .use(_ => pulled++)
+      .withSignal(controller.signal);
+    await assert.rejects(iter.fold(0, (a, b) => a + b), AbortError);
+    assert.equal(pulled, 0);
+  });
+
+  it('should stop a pipeline blocked inside zip', async () => {
+    const controller = new AbortController();
+    const source = hanging();
+    const result = asyncIterator(asyncFrom([1, 2, 3]))
+      .zip(source.iter)
+      .withSignal(controller.signal)
+      .forEach(() => {});
+    setTimeout(() => controller.abort(), 5);
+    await assert.rejects(result, AbortError);
+    await sleep(1);
+    assert.equal(source.closed, true);
+  });
+
+  it('should stop every stage derived from an iterator with a signal', async () => {
+    const controller = new AbortController();
+    const source = hanging();
+    let closed = false;
+    async function* numbers() {
+      try {
+        yield* [1, 2, 3];
+      } finally {
+        closed = true;
+      }
+    }
+    const result = asyncIterator(numbers(), { signal: controller.signal })
+      .zip(source.iter)
+      .map(([x]) => x)
+      .collect();
+    setTimeout(() => controller.abort(), 5);
+    await assert.rejects(result, AbortError);
+    await sleep(1);
+    assert.equal(source.closed, true);
+    assert.equal(closed, true);
+  });
+
+  it('should close the source when aborted between pulls', async () => {
+    let closed = false;
+    async function* source() {
+      try {
+        for (let i = 0; true; i++) {
+          yield i;
+        }
+      } finally {
+        closed = true;
+      }
+    }
+    const controller = new AbortController();
+    const iter = asyncIterator(source())
+      .withSignal(controller.signal)
+      .iterator();
+    assert.deepEqual(await iter.next(), { value: 0, done: false });
+    controller.abort();
+    await assert.rejects(iter.next(), AbortError);
+    assert.equal(closed, true);
+  });
+
+  it('should listen to a signal once however many stages observe it', async () => {
+    const controller = new AbortController();
+    let iter = asyncIterator(asyncFrom([1, 2, 3]), { signal: controller.signal });
+    for (let i = 0; i < 11; i++) {
+      iter = iter.map(x => x + 1);
+    }
+    const listeners = [];
+    const result = await iter
+      .use(() => listeners.push(getEventListeners(controller.signal, 'abort').length))
+      .collect();
+    assert.deepEqual(result, [12, 13, 14]);
+    assert.deepEqual(listeners, [1, 1, 1]);
+  });
+
+  it('should not interfere with iterators that are never aborted', async () => {
+    const controller = new AbortController();
+    const collected = await asyncIterator(asyncFrom([1, 2, 3]))
+      .withSignal(controller.signal)
+      .collect();
+    assert.deepEqual(collected, [1, 2, 3]);
+  });
+});
+
+describe('tracing', () => {
+  describe('#trace(label, logger)', () => {
+    it('should log each member and the end of the iterator', () => {
+      const events = [];
+      const result = iterator([1, 2])
+        .trace('numbers', (...event) => events.push(event))
+        .collect();
+      assert.deepEqual(result, [1, 2]);
+      assert.deepEqual(events, [
+        ['numbers', 'yield', 1],
+        ['numbers', 'yield', 2],
+        ['numbers', 'done']
+      ]);
+    });
+
+    it('should log errors and early closing', async () => {
+      const events = [];
+      const logger = (label, event) => events.push(`${label} ${event}`);
+      await asyncIterator(asyncFrom([1, 2, 3]))
+        .trace('early', logger)
+        .take(1)
+        .collect();
+      await assert.rejects(
+        asyncIterator(asyncFrom([1]))
+          .map(() => {
+            throw new Error('boom');
+          })
+          .trace('failing', logger)
+          .collect()
+      );
+      assert.deepEqual(events, ['early yield', 'early return', 'failing error']);
+    });
+  });
+
+  describe('#describe()', () => {
+    it('should describe the chain of adapters', () => {
+      const chain = iterator([1, 2, 3])
+        .filter(x => x > 1)
+        .map(x => x * 2)
+        .take(10);
+      assert.equal(chain.describe(), 'source → filter → map → take(10)');
+      assert.equal(iterator([]).describe(), 'source');
+    });
+
+    it('should describe asynchronous chains', () => {
+      const chain = asyncIterator(asyncFrom([1]))
+        .windows(3, 1)
+        .trace('windows')
+        .mapConcurrent(x => x, { concurrency: 2 });
+      assert.equal(chain.describe(), 'source → windows(3, 1) → trace("windows") → mapConcurrent');
+    });
+
+    it('should describe adapters built from other adapters by their own name', () => {
+      const chain = iterator([1]).zipWith([2], (a, b) => a + b);
+      assert.equal(chain.describe(), 'source → zipWith');
+    });
+  });
+
+  describe('#instrument(report)', () => {
+    it('should record the members entering and leaving each stage', () => {
+      let records;
+      const result = iterator([1, 2, 3, 4, 5, 6])
+        .filter(x => x % 2 == 0)
+        .map(x => x * 10)
+        .take(2)
+        .instrument(r => {
+          records = r;
+        })
+        .collect();
+      assert.deepEqual(result, [20, 40]);
+      const counts = records.map(({ stage, elementsIn, elementsOut }) => [
+        stage,
+        elementsIn,
+        elementsOut
+      ]);
+      assert.deepEqual(counts, [
+        ['source', 4, 4],
+        ['filter', 4, 2],
+        ['map', 2, 2],
+        ['take(2)', 2, 2]
+      ]);
+    });
+
+    it('should record callback time and errors per stage', async () => {
+      let records;
+      const result = asyncIterator(asyncFrom([1, 2, 3]))
+        .map(async x => {
+          if (x == 3) {
+            throw new Error('bad member');
+          }
+          return x;
+        })
+        .use(() => sleep(5))
+        .instrument(r => {
+          records = r;
+        })
+        .collect();
+      await assert.rejects(result, /bad member/);
+      assert.deepEqual(
+        records.map(record => record.errors),
+        [0, 1, 0]
+      );
+      assert.ok(records[2].callbackTime >= 4);
+      assert.equal(records[1].elementsOut, 2);
+    });
+
+    it('should describe the same chain as the iterator it instruments', () => {
+      const chain = iterator([1, 2, 3])
+        .map(x => x * 2)
+        .take(2)
+        .instrument(() => {});
+      assert.equal(chain.describe(), 'source → map → take(2)');
+      assert.deepEqual(chain.collect(), [2, 4]);
+    });
+  });
+});
+
+describe('operators', () => {
+  const { map, filter, take, sum, collect, rev, delay, chunk, zipWith } = operators;
+
+  it('should apply operators to synchronous sources', () => {
+    const result = pipe(
+      [1, 2, 3, 4, 5, 6, 7],
+      map(x => x * 2),
+      filter(x => x % 3 != 0),
+      take(3),
+      collect()
+    );
+    assert.deepEqual(result, [2, 4, 8]);
+  });
+
+  it('should apply the same operators to asynchronous sources', async () => {
+    const result = await pipe(
+      asyncFrom([1, 2, 3]),
+      map(async x => x * 2),
+      sum()
+    );
+    assert.equal(result, 12);
+  });
+
+  it('should accept existing iterators as sources', async () => {
+    const doubled = iterator([1, 2, 3]).map(x => x * 2);
+    assert.deepEqual(pipe(doubled, take(2), collect()), [2, 4]);
+    const pairs = asyncIterator(asyncFrom([1, 2])).enumerate();
+    const sums = pipe(
+      pairs,
+      zipWith([10, 20], ([x], y) => x + y),
+      collect()
+    );
+    assert.deepEqual(await sums, [11, 22]);
+  });
+
+  it('should produce plain iterators without loading the iterator classes', () => {
+    const result = map(x => x * 2)([1, 2, 3]);
+    assert.equal(typeof result.next, 'function');
+    assert.equal(result.collect, undefined);
+    const script = `require(${JSON.stringify(require.resolve('../src/operators'))});
+      console.log(Object.keys(require.cache).some(file => /iter[\\/]/.test(file)));`;
+    const loaded = execFileSync(process.execPath, ['-e', script], { encoding: 'utf8' });
+    assert.equal(loaded.trim(), 'false');
+  });
+
+  it('should check arguments when operators are created', () => {
+    assert.throws(() => chunk(0), /0 is not a valid chunk size/);
+  });
+
+  it('should reverse arrays and typed arrays only', () => {
+    assert.deepEqual([...pipe([1, 2, 3], rev())], [3, 2, 1]);
+    assert.deepEqual([...pipe(Uint8Array.of(1, 2), rev())], [2, 1]);
+    assert.throws(() => pipe(range(3), rev()), /not double-ended/);
+  });
+
+  it('should accept custom operators', () => {
+    const squares = source => iterator(source).map(x => x * x);
+    assert.deepEqual(pipe([1, 2, 3], squares, collect()), [1, 4, 9]);
+  });
+
+  it('should reject operators unsupported by the source', () => {
+    assert.throws(() => pipe(asyncFrom([1]), rev()), /rev is not supported/);
+    assert.throws(() => pipe([1], delay(10)), /delay is not supported/);
+  });
+});
+
+describe('extensions', () => {
+  iterator.extend({
+    *everyOther(iter) {
+      let keep = true;
+      for (const x of iter) {
+        if (keep) {
+          yield x;
+        }
+        keep = !keep;
+      }
+    },
+    sumOfSquares: iter => iter.map(x => x * x).sum()
+  });
+
+  asyncIterator.extend({
+    async *everyOther(iter) {
+      let keep = true;
+      for await (const x of iter) {
+        if (keep) {
+          yield x;
+        }
+        keep = !keep;
+      }
+    },
+    sumOfSquares: iter => iter.map(x => x * x).sum()
+  });
+
+  it('should add adapters producing wrapped iterators', async () => {
+    const odds = iterator([1, 2, 3, 4, 5])
+      .everyOther()
+      .map(x => x * 10)
+      .collect();
+    assert.deepEqual(odds, [10, 30, 50]);
+    const asyncOdds = await asyncIterator(asyncFrom([1, 2, 3]))
+      .everyOther()
+      .collect();
+    assert.deepEqual(asyncOdds, [1, 3]);
+  });
+
+  it('should add terminal operations', async () => {
+    assert.equal(iterator([1, 2, 3]).sumOfSquares(), 14);
+    assert.equal(await asyncIterator([1, 2, 3]).sumOfSquares(), 14);
+  });
+
+  it('should add methods to peekable iterators', () => {
+    const peekable = iterator([1, 2, 3]).peekable();
+    assert.equal(peekable.peek(), 1);
+    assert.deepEqual(peekable.everyOther().collect(), [1, 3]);
+  });
+
+  it('should not replace existing methods', () => {
+    assert.throws(() => iterator.extend({ map: () => {} }), /map is already a method/);
+    assert.throws(() => iterator.extend({ peek: () => {} }), /peek is already a method/);
+    assert.throws(() => asyncIterator.extend({ delay: () => {} }), /delay is already a method/);
+  });
+
+  it('should reject values which are not functions', () => {
+    assert.throws(() => iterator.extend({ broken: 1 }));
+    assert.equal(iterator([]).broken, undefined);
+  });
+});
+
+describe('collectors', () => {
+  const {
+    collector,
+    toArray,
+    toSet,
+    toMap,
+    toObject,
+    groupBy,
+    partition,
+    joining,
+    counting,
+    summing,
+    mapping
+  } = collectors;
+
+  it('should collect into a list', () => {
+    assert.deepEqual(iterator([1, 2]).collect(toArray()), [1, 2]);
+  });
+
+  it('should collect into a set', () => {
+    const set = iterator([1, 2, 1, 3]).collect(toSet());
+    assert.deepEqual([...set], [1, 2, 3]);
+  });
+
+  it('should collect entries into a map by default', () => {
+    const map = iterator([
+      ['a', 1],
+      ['b', 2]
+    ]).collect(toMap());
+    assert.deepEqual(
+      [...map],
+      [
+        ['a', 1],
+        ['b', 2]
+      ]
+    );
+  });
+
+  it('should collect into a map with key, value and merge functions', () => {
+    const map = iterator(['apple', 'avocado', 'banana']).collect(
+      toMap(
+        s => s[0],
+        s => s.length,
+        (a, b) => a + b
+      )
+    );
+    assert.deepEqual(
+      [...map],
+      [
+        ['a', 12],
+        ['b', 6]
+      ]
+    );
+  });
+
+  it('should reject duplicate keys without a merge function', () => {
+    assert.throws(
+      () =>
+        iterator([1, 1]).collect(
+          toMap(
+            x => x,
+            x => x
+          )
+        ),
+      /Duplicate key/
+    );
+  });
+
+  it('should collect into an object', () => {
+    const obj = iterator([
+      ['a', 1],
+      ['b', 2]
+    ]).collect(toObject());
+    assert.deepEqual(obj, { a: 1, b: 2 });
+  });
+
+  it('should group members into lists by default', () => {
+    const groups = iterator([1, 2, 3, 4, 5]).collect(groupBy(x => (x % 2 == 0 ? 'even' : 'odd')));
+    assert.deepEqual(
+      [...groups],
+      [
+        ['odd', [1, 3, 5]],
+        ['even', [2, 4]]
+      ]
+    );
+  });
+
+  it('should compose grouping with a downstream collector', () => {
+    const totals = iterator([
+      { team: 'a', score: 1 },
+      { team: 'b', score: 2 },
+      { team: 'a', score: 3 }
+    ]).collect(
+      groupBy(
+        x => x.team,
+        summing(x => x.score)
+      )
+    );
+    assert.deepEqual(
+      [...totals],
+      [
+        ['a', 4],
+        ['b', 2]
+      ]
+    );
+  });
+
+  it('should nest groupings', () => {
+    const nested = iterator(['ax', 'ay', 'bx', 'ax']).collect(
+      groupBy(
+        s => s[0],
+        groupBy(s => s[1], counting())
+      )
+    );
+    assert.deepEqual(nested.get('a').get('x'), 2);
+    assert.deepEqual(nested.get('b').get('x'), 1);
+  });
+
+  it('should partition members by a predicate', () => {
+    const [evens, odds] = iterator([1, 2, 3, 4]).collect(partition(x => x % 2 == 0));
+    assert.deepEqual(evens, [2, 4]);
+    assert.deepEqual(odds, [1, 3]);
+  });
+
+  it('should join members into a string', () => {
+    assert.equal(iterator([1, 2, 3]).collect(joining(', ')), '1, 2, 3');
+    assert.equal(iterator([]).collect(joining(', ')), '');
+  });
+
+  it('should count members', () => {
+    assert.equal(iterator(['a', 'b']).collect(counting()), 2);
+  });
+
+  it('should transform members before a downstream collector', () => {
+    const set = iterator(['a', 'bb', 'cc']).collect(mapping(s => s.length, toSet()));
+    assert.deepEqual([...set], [1, 2]);
+  });
+
+  it('should support user-defined collectors', () => {
+    const maxLength = collector(
+      () => 0,
+      (max, s) => Math.max(max, s.length)
+    );
+    assert.equal(iterator(['a', 'abc', 'ab']).collect(maxLength), 3);
+  });
+
+  it('should be reusable across collections', () => {
+    const counter = counting();
+    assert.equal(iterator([1, 2]).collect(counter), 2);
+    assert.equal(iterator([1, 2, 3]).collect(counter), 3);
+  });
+
+  it('should reject values that are not collectors', () => {
+    assert.throws(() => iterator([1]).collect({}), /is not a collector/);
+  });
+
+  it('should work with async iterators', async () => {
+    const groups = await asyncIterator(asyncFrom(['a', 'bb', 'c'])).collect(
+      groupBy(s => s.length, joining())
+    );
+    assert.deepEqual(
+      [...groups],
+      [
+        [1, 'ac'],
+        [2, 'bb']
+      ]
+    );
+  });
+
+  it('should await asynchronous functions given to collectors with async iterators', async () => {
+    const parity = async x => {
+      await sleep(1);
+      return x % 2 == 0 ? 'even' : 'odd';
+    };
+    const xs = () => asyncIterator(asyncFrom([1, 2, 3, 4]));
+    const groups = await xs().collect(groupBy(parity));
+    assert.deepEqual([...groups.keys()], ['odd', 'even']);
+    assert.deepEqual(groups.get('even'), [2, 4]);
+    const sum = async (a, b) => a + b;
+    const map = await xs().collect(toMap(parity, async x => x, sum));
+    assert.equal(map.get('odd'), 4);
+    assert.equal(map.get('even'), 6);
+    const [evens, odds] = await xs().collect(partition(async x => (await parity(x)) == 'even'));
+    assert.deepEqual(evens, [2, 4]);
+    assert.deepEqual(odds, [1, 3]);
+  });
+
+  it('should await asynchronous user-defined collectors with async iterators', async () => {
+    const total = await asyncIterator(asyncFrom([1, 2, 3])).collect(
+      collector(
+        async () => 0,
+        async (sum, x) => sum + x
+      )
+    );
+    assert.equal(total, 6);
+  });
+});
+
+describe('sources', () => {
+  describe('range(start, end, step, options)', () => {
+    it('should exclude the end by default', () => {
+      assert.deepEqual(range(1, 5).collect(), [1, 2, 3, 4]);
+      assert.deepEqual(range(3).collect(), [0, 1, 2]);
+    });
+
+    it('should include the end when inclusive', () => {
+      assert.deepEqual(range(1, 5, 2, { inclusive: true }).collect(), [1, 3, 5]);
+      assert.deepEqual(range(1, 6, 2, { inclusive: true }).collect(), [1, 3, 5]);
+    });
+
+    it('should count down with a negative step', () => {
+      assert.deepEqual(range(5, 0, -2).collect(), [5, 3, 1]);
+      assert.deepEqual(range(0, 5, -1).collect(), []);
+    });
+
+    it('should not accumulate floating point errors', () => {
+      const values = range(0, 1, 0.1).collect();
+      assert.equal(values.length, 10);
+      assert.equal(values[9], 0.9);
+    });
+
+    it('should include a fractional end when inclusive', () => {
+      assert.equal(range(0, 0.3, 0.1, { inclusive: true }).count(), 4);
+      assert.equal(range(0, 0.3, 0.1).count(), 3);
+      assert.equal(range(1, 0, -0.1, { inclusive: true }).count(), 11);
+    });
+
+    it('should support BigInts', () => {
+      assert.deepEqual(range(0n, 10n, 3n).collect(), [0n, 3n, 6n, 9n]);
+      assert.deepEqual(range(3n, 0n, -1n, { inclusive: true }).collect(), [3n, 2n, 1n, 0n]);
+      assert.throws(() => range(0n, 5), /Cannot mix/);
+    });
+
+    it('should be infinite with an infinite end', () => {
+      assert.deepEqual(
+        range(0, Infinity, 5)
+          .take(3)
+          .collect(),
+        [0, 5, 10]
+      );
+    });
+
+    it('should collect infinite ranges without allocating for every member', () => {
+      const collect = () =>
+        range(0, Infinity)
+          .map(x => {
+            if (x == 3) {
+              throw new Error('stop');
+            }
+            return x;
+          })
+          .collect();
+      assert.throws(collect, /stop/);
+    });
+
+    it('should support constant-time terminals and reversal', () => {
+      const iter = range(0, 1e12);
+      assert.equal(iter.count(), 1e12);
+      assert.equal(range(0, 1e12).nth(123456789), 123456789);
+      assert.equal(range(0, 1e12).last(), 1e12 - 1);
+      assert.deepEqual(
+        range(0, 10, 3)
+          .rev()
+          .collect(),
+        [9, 6, 3, 0]
+      );
+    });
+
+    it('should reject a zero step', () => {
+      assert.throws(() => range(0, 1, 0), /cannot be zero/);
+    });
+  });
+
+  describe('repeat(x, n)', () => {
+    it('should repeat a value n times', () => {
+      assert.deepEqual(repeat('a', 3).collect(), ['a', 'a', 'a']);
+    });
+
+    it('should repeat a value infinitely by default', () => {
+      assert.deepEqual(
+        repeat(1)
+          .take(4)
+          .collect(),
+        [1, 1, 1, 1]
+      );
+    });
+
+    it('should reject an invalid number of repetitions', () => {
+      assert.throws(() => repeat(1, 2.5), /2.5 is not a valid number of repetitions/);
+      assert.throws(() => repeat(1, -1), /-1 is not a valid number of repetitions/);
+      assert.deepEqual(repeat(1, 0).collect(), []);
+    });
+  });
+
+  describe('repeatWith(f)', () => {
+    it('should execute the function for each member', () => {
+      let i = 0;
+      assert.deepEqual(
+        repeatWith(() => i++)
+          .take(3)
+          .collect(),
+        [0, 1, 2]
+      );
+    });
+  });
+
+  describe('iterate(seed, f)', () => {
+    it('should apply the function repeatedly', () => {
+      assert.deepEqual(
+        iterate(1, x => x * 2)
+          .take(5)
+          .collect(),
+        [1, 2, 4, 8, 16]
+      );
+    });
+  });
+
+  describe('successors(first, f)', () => {
+    it('should stop once the function produces undefined', () => {
+      const digits = successors(1234, x => (x >= 10 ? Math.floor(x / 10) : undefined));
+      assert.deepEqual(digits.collect(), [1234, 123, 12, 1]);
+      assert.deepEqual(successors(undefined, x => x).collect(), []);
+    });
+  });
+
+  describe('unfold(seed, f)', () => {
+    it('should yield members until the function produces undefined', () => {
+      const fibonacci = unfold([0, 1], ([a, b]) => (a > 20 ? undefined : [a, [b, a + b]]));
+      assert.deepEqual(fibonacci.collect(), [0, 1, 1, 2, 3, 5, 8, 13]);
+    });
+  });
+
+  describe('empty() and once(x)', () => {
+    it('should yield nothing or a single value', () => {
+      assert.deepEqual(empty().collect(), []);
+      assert.deepEqual(once(5).collect(), [5]);
+    });
+  });
+
+  describe('entries(obj), keys(obj) and values(obj)', () => {
+    it('should iterate over the own enumerable properties of an object', () => {
+      const obj = Object.create({ inherited: true });
+      obj.a = 1;
+      obj.b = 2;
+      assert.deepEqual(entries(obj).collect(), [
+        ['a', 1],
+        ['b', 2]
+      ]);
+      assert.deepEqual(keys(obj).collect(), ['a', 'b']);
+      assert.deepEqual(values(obj).collect(), [1, 2]);
+      assert.equal(keys(obj).count(), 2);
+    });
+  });
+
+  describe('asyncIterator sources', () => {
+    it('should unfold pages with an async function', async () => {
+      const pages = { a: { items: [1, 2], next: 'b' }, b: { items: [3], next: undefined } };
+      const items = await asyncIterator
+        .unfold('a', async cursor => {
+          if (cursor === undefined) {
+            return undefined;
+          }
+          await sleep(1);
+          return [pages[cursor].items, pages[cursor].next];
+        })
+        .flatten()
+        .collect();
+      assert.deepEqual(items, [1, 2, 3]);
+    });
+
+    it('should iterate with an async function', async () => {
+      const powers = await asyncIterator
+        .iterate(1, async x => x * 3)
+        .take(4)
+        .collect();
+      assert.deepEqual(powers, [1, 3, 9, 27]);
+    });
+
+    it('should produce successors with an async function', async () => {
+      const halves = await asyncIterator
+        .successors(8, async x => (x > 1 ? x / 2 : undefined))
+        .collect();
+      assert.deepEqual(halves, [8, 4, 2, 1]);
+    });
+
+    it('should repeat an async function', async () => {
+      let i = 0;
+      const values = await asyncIterator
+        .repeatWith(async () => i++)
+        .take(3)
+        .collect();
+      assert.deepEqual(values, [0, 1, 2]);
+    });
+  });
 });
 
 describe('positives', () => {